@@ -0,0 +1,136 @@
+/**
+ * MCP 配置文件模块
+ * 读取 MCP_CONFIG_FILE 指定的 JSON 配置文件（格式参见 mcp-config-example.json），并补全默认值
+ */
+
+import fs from 'node:fs';
+import Joi from 'joi';
+
+import { DEFAULT_CONFIG, getLogger } from './remoteConfig.js';
+
+const logger = getLogger();
+
+/**
+ * 默认权限：未提供配置文件时允许所有操作
+ */
+const DEFAULT_PERMISSIONS = {
+  allowCreate: true,
+  allowRead: true,
+  allowUpdate: true,
+  allowDelete: true,
+  allowBatchOperations: true,
+};
+
+/**
+ * 默认限流配置（与 mcp-config-example.json 一致）
+ */
+const DEFAULT_RATE_LIMIT = {
+  enabled: true,
+  requestsPerMinute: 100,
+  burstLimit: 20,
+  // 请求在队列中等待令牌的最长时间（毫秒），超过则立即失败
+  maxWaitMs: 10000,
+  // 排队请求数上限
+  maxQueueSize: 100,
+};
+
+/**
+ * 默认熔断配置（与 mcp-config-example.json 一致）
+ */
+const DEFAULT_CIRCUIT_BREAKER = {
+  enabled: true,
+  // 连续失败（网络错误、超时或 5xx）达到该次数后打开熔断器
+  failureThreshold: 5,
+  // 打开后的冷却时间（毫秒），之后放行探测请求
+  cooldownMs: 30000,
+  // 半开状态下同时放行的探测请求数
+  halfOpenMaxCalls: 1,
+};
+
+/**
+ * 配置文件验证模式（只校验本模块使用的字段，其余字段原样保留）
+ */
+const mcpConfigSchema = Joi.object({
+  permissions: Joi.object({
+    allowCreate: Joi.boolean(),
+    allowRead: Joi.boolean(),
+    allowUpdate: Joi.boolean(),
+    allowDelete: Joi.boolean(),
+    allowBatchOperations: Joi.boolean(),
+  }).unknown(true),
+  rateLimit: Joi.object({
+    enabled: Joi.boolean(),
+    requestsPerMinute: Joi.number().integer().min(1),
+    burstLimit: Joi.number().integer().min(1),
+    maxWaitMs: Joi.number().integer().min(0),
+    maxQueueSize: Joi.number().integer().min(0),
+  }).unknown(true),
+  circuitBreaker: Joi.object({
+    enabled: Joi.boolean(),
+    failureThreshold: Joi.number().integer().min(1),
+    cooldownMs: Joi.number().integer().min(0),
+    halfOpenMaxCalls: Joi.number().integer().min(1),
+  }).unknown(true),
+  tools: Joi.array().items(
+    Joi.object({
+      name: Joi.string().required(),
+      enabled: Joi.boolean(),
+    }).unknown(true)
+  ),
+}).unknown(true);
+
+/**
+ * 缓存已加载的配置
+ */
+let cachedConfig = null;
+
+/**
+ * 读取并标准化 MCP 配置文件
+ * @param {string} filePath - 配置文件路径，为空时使用默认配置
+ * @returns {Object} 标准化的配置 { permissions, tools, rateLimit, circuitBreaker, source }
+ */
+function loadMcpConfig(filePath = DEFAULT_CONFIG.MCP_CONFIG_FILE) {
+  let raw = {};
+
+  if (filePath) {
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`无法读取 MCP 配置文件 ${filePath}: ${error.message}`);
+    }
+
+    const { error } = mcpConfigSchema.validate(raw, { abortEarly: false });
+    if (error) {
+      throw new Error(`MCP 配置文件 ${filePath} 格式错误: ${error.message}`);
+    }
+
+    logger.info(`已加载 MCP 配置文件: ${filePath}`);
+  }
+
+  // 工具开关：name -> { enabled }
+  const tools = {};
+  for (const tool of raw.tools || []) {
+    tools[tool.name] = { enabled: tool.enabled !== false };
+  }
+
+  return {
+    permissions: { ...DEFAULT_PERMISSIONS, ...(raw.permissions || {}) },
+    tools,
+    rateLimit: { ...DEFAULT_RATE_LIMIT, ...(raw.rateLimit || {}) },
+    circuitBreaker: { ...DEFAULT_CIRCUIT_BREAKER, ...(raw.circuitBreaker || {}) },
+    source: filePath || null,
+  };
+}
+
+/**
+ * 获取 MCP 配置（首次调用时加载）
+ * @returns {Object} 标准化的配置
+ */
+function getMcpConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadMcpConfig();
+  }
+  return cachedConfig;
+}
+
+export { DEFAULT_PERMISSIONS, DEFAULT_RATE_LIMIT, DEFAULT_CIRCUIT_BREAKER, loadMcpConfig, getMcpConfig };
@@ -3,7 +3,9 @@
  * 负责管理远程短网址服务的配置信息
  */
 
+import fs from 'node:fs';
 import dotenv from 'dotenv';
+import { getRequestContext } from '../utils/requestContext.js';
 
 // 加载环境变量
 dotenv.config();
@@ -14,6 +16,20 @@ const DEFAULT_CONFIG = {
   REMOTE_BASE_URL: process.env.REMOTE_BASE_URL || 'https://api.example.com',
   REMOTE_API_KEY: process.env.REMOTE_API_KEY || '',
 
+  // 出站代理：未配置时按远程服务地址的协议读取 HTTPS_PROXY / HTTP_PROXY，设为 none 时不使用代理
+  // 不走代理的主机默认读取 NO_PROXY（逗号分隔，支持 .example.com、*.example.com、host:port 和 *）
+  REMOTE_PROXY: process.env.REMOTE_PROXY || '',
+  REMOTE_NO_PROXY: process.env.REMOTE_NO_PROXY ?? process.env.NO_PROXY ?? process.env.no_proxy ?? '',
+
+  // 远程服务 TLS 配置：附加 CA 证书和 mTLS 客户端证书均为 PEM 文件路径
+  // NODE_EXTRA_CA_CERTS 中的证书同样会被信任（包括通过 .env 设置的情况）
+  REMOTE_CA_FILE: process.env.REMOTE_CA_FILE || '',
+  NODE_EXTRA_CA_CERTS: process.env.NODE_EXTRA_CA_CERTS || '',
+  REMOTE_CLIENT_CERT_FILE: process.env.REMOTE_CLIENT_CERT_FILE || '',
+  REMOTE_CLIENT_KEY_FILE: process.env.REMOTE_CLIENT_KEY_FILE || '',
+  REMOTE_CLIENT_KEY_PASSPHRASE: process.env.REMOTE_CLIENT_KEY_PASSPHRASE || '',
+  REMOTE_TLS_REJECT_UNAUTHORIZED: process.env.REMOTE_TLS_REJECT_UNAUTHORIZED !== 'false',
+
   // API 版本
   API_VERSION: process.env.API_VERSION || 'v1',
 
@@ -21,15 +37,100 @@ const DEFAULT_CONFIG = {
   REQUEST_TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT || '10000', 10), // 10秒
   MAX_RETRIES: parseInt(process.env.MAX_RETRIES || '3', 10),
   RETRY_DELAY: parseInt(process.env.RETRY_DELAY || '1000', 10), // 1秒
+  // 一次请求所有重试的等待时间之和上限（毫秒），包括按 Retry-After 的等待
+  MAX_RETRY_WAIT: parseInt(process.env.MAX_RETRY_WAIT || '60000', 10), // 60秒
+  // 服务端是否支持 Idempotency-Key 请求头；未声明时在响应回显幂等键后自动确认，确认前重试创建请求会先查找已创建的链接
+  IDEMPOTENCY_KEYS_SUPPORTED: process.env.IDEMPOTENCY_KEYS_SUPPORTED === 'true',
+
+  // 批量创建配置：超出服务端单次上限的输入按块拆分，并发发送，失败的块单独重试
+  BATCH_CHUNK_SIZE: parseInt(process.env.BATCH_CHUNK_SIZE || '50', 10),
+  BATCH_CONCURRENCY: parseInt(process.env.BATCH_CONCURRENCY || '3', 10),
+  BATCH_CHUNK_RETRIES: parseInt(process.env.BATCH_CHUNK_RETRIES || '2', 10),
+
+  // 本地短链接索引的有效期（毫秒），用于 if_exists 查找已有链接
+  LINK_INDEX_TTL: parseInt(process.env.LINK_INDEX_TTL || '300000', 10), // 5分钟
+
+  // 域名列表缓存有效期（毫秒），用于发送前校验域名
+  DOMAIN_CACHE_TTL: parseInt(process.env.DOMAIN_CACHE_TTL || '300000', 10), // 5分钟
+
+  // 只读接口响应缓存：有效期（毫秒，0 表示禁用）和最大条目数
+  RESPONSE_CACHE_TTL: parseInt(process.env.RESPONSE_CACHE_TTL || '30000', 10), // 30秒
+  RESPONSE_CACHE_MAX_ENTRIES: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '500', 10),
+
+  // 目标地址策略：创建或更新短链接前校验原始 URL（列表为逗号分隔，主机名支持 *.example.com 通配）
+  URL_ALLOWED_SCHEMES: process.env.URL_ALLOWED_SCHEMES || 'http,https',
+  URL_ALLOWED_HOSTS: process.env.URL_ALLOWED_HOSTS || '',
+  URL_BLOCKED_HOSTS: process.env.URL_BLOCKED_HOSTS || '',
+  URL_BLOCK_IP_HOSTS: process.env.URL_BLOCK_IP_HOSTS === 'true',
+  URL_BLOCK_PRIVATE_HOSTS: process.env.URL_BLOCK_PRIVATE_HOSTS !== 'false',
+  URL_MAX_LENGTH: parseInt(process.env.URL_MAX_LENGTH || '2048', 10),
+
+  // 导出、导入工具读写本地文件的根目录（stdio 模式默认为工作目录，HTTP 模式未配置时不允许读写文件）
+  MCP_FILE_ROOT: process.env.MCP_FILE_ROOT || '',
 
   // MCP 服务器配置
   MCP_SERVER_NAME: process.env.MCP_SERVER_NAME || 'mliev-dwz-client',
   MCP_SERVER_VERSION: process.env.MCP_SERVER_VERSION || '1.0.0',
 
+  // MCP 传输层配置（stdio 或 http）
+  MCP_TRANSPORT: process.env.MCP_TRANSPORT || 'stdio',
+  MCP_HTTP_HOST: process.env.MCP_HTTP_HOST || '127.0.0.1',
+  MCP_HTTP_PORT: parseInt(process.env.MCP_HTTP_PORT || '3000', 10),
+  // HTTP 模式 DNS 重绑定防护：允许的 Host 和 Origin 请求头（逗号分隔）。
+  // Host 未配置时，回环地址默认只允许 localhost / 127.0.0.1 / [::1] 加监听端口；Origin 未配置时不校验
+  MCP_ALLOWED_HOSTS: process.env.MCP_ALLOWED_HOSTS || '',
+  MCP_ALLOWED_ORIGINS: process.env.MCP_ALLOWED_ORIGINS || '',
+  // HTTP 模式会话：空闲超时（毫秒）和同时存在的会话数上限
+  MCP_SESSION_IDLE_TTL: parseInt(process.env.MCP_SESSION_IDLE_TTL || '1800000', 10), // 30分钟
+  MCP_MAX_SESSIONS: parseInt(process.env.MCP_MAX_SESSIONS || '100', 10),
+
+  // MCP 配置文件（权限、工具开关等，格式参见 mcp-config-example.json）
+  MCP_CONFIG_FILE: process.env.MCP_CONFIG_FILE || '',
+
+  // HTTP 模式入站认证配置
+  MCP_AUTH_TOKENS: process.env.MCP_AUTH_TOKENS || '',
+  MCP_AUTH_TOKEN_FILE: process.env.MCP_AUTH_TOKEN_FILE || '',
+
   // 日志配置
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
 };
 
+/**
+ * 命令行参数到配置项的映射
+ */
+const CLI_OPTIONS = {
+  '--transport': { key: 'MCP_TRANSPORT', parse: (value) => value },
+  '--host': { key: 'MCP_HTTP_HOST', parse: (value) => value },
+  '--port': { key: 'MCP_HTTP_PORT', parse: (value) => parseInt(value, 10) },
+  '--config': { key: 'MCP_CONFIG_FILE', parse: (value) => value },
+};
+
+/**
+ * 解析命令行参数并覆盖默认配置
+ * 支持 --transport http 与 --transport=http 两种写法
+ * @param {Array} argv - 命令行参数（不含 node 与脚本路径）
+ * @returns {Object} 被覆盖的配置项
+ */
+function applyCliArgs(argv = process.argv.slice(2)) {
+  const overrides = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const option = CLI_OPTIONS[flag];
+    if (!option) continue;
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      throw new Error(`命令行参数 ${flag} 缺少取值`);
+    }
+
+    overrides[option.key] = option.parse(value);
+  }
+
+  Object.assign(DEFAULT_CONFIG, overrides);
+  return overrides;
+}
+
 /**
  * 获取完整的API端点URL
  * @param {string} endpoint - API端点
@@ -43,21 +144,114 @@ function getApiUrl(endpoint) {
 
 /**
  * 获取请求头配置
+ * 当前会话绑定了独立的上游 API 密钥时优先使用，否则使用 REMOTE_API_KEY
+ * @param {string} apiKey - 上游 API 密钥（可选，默认从当前请求上下文解析）
  * @returns {Object} 请求头对象
  */
-function getHeaders() {
+function getHeaders(apiKey = getRequestContext()?.apiKey) {
   const headers = {
     'Content-Type': 'application/json',
     'User-Agent': `${DEFAULT_CONFIG.MCP_SERVER_NAME}/${DEFAULT_CONFIG.MCP_SERVER_VERSION}`,
   };
 
-  if (DEFAULT_CONFIG.REMOTE_API_KEY) {
-    headers.Authorization = `Bearer ${DEFAULT_CONFIG.REMOTE_API_KEY}`;
+  const resolvedApiKey = apiKey || DEFAULT_CONFIG.REMOTE_API_KEY;
+  if (resolvedApiKey) {
+    headers.Authorization = `Bearer ${resolvedApiKey}`;
   }
 
   return headers;
 }
 
+/**
+ * 判断主机是否命中不走代理的规则
+ * @param {string} hostname - 主机名（小写，IPv6 不带方括号）
+ * @param {string} port - 端口
+ * @param {string} noProxy - 逗号分隔的规则
+ * @returns {boolean} 是否不走代理
+ */
+function matchesNoProxy(hostname, port, noProxy) {
+  return String(noProxy || '')
+    .split(/[\s,]+/)
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === '*') return true;
+
+      const [, host, entryPort] = entry.match(/^\[?(.*?)\]?(?::(\d+))?$/);
+      if (entryPort && entryPort !== port) return false;
+
+      const suffix = host.replace(/^\*?\./, '');
+      return hostname === suffix || hostname.endsWith(`.${suffix}`);
+    });
+}
+
+/**
+ * 获取访问目标地址时使用的代理
+ * REMOTE_PROXY 优先，其次按目标协议读取 HTTPS_PROXY / HTTP_PROXY（大小写均可），命中 REMOTE_NO_PROXY 时不使用代理
+ * @param {string} targetUrl - 目标地址（默认为远程服务地址）
+ * @returns {Object|null} { url, source }，不使用代理时返回 null
+ */
+function getProxyConfig(targetUrl = DEFAULT_CONFIG.REMOTE_BASE_URL) {
+  let target;
+  try {
+    target = new URL(targetUrl);
+  } catch {
+    return null;
+  }
+
+  const candidates = DEFAULT_CONFIG.REMOTE_PROXY
+    ? ['REMOTE_PROXY']
+    : target.protocol === 'https:'
+      ? ['HTTPS_PROXY', 'https_proxy']
+      : ['HTTP_PROXY', 'http_proxy'];
+  const source = candidates.find((key) => (key === 'REMOTE_PROXY' ? DEFAULT_CONFIG.REMOTE_PROXY : process.env[key]));
+  const url = source === 'REMOTE_PROXY' ? DEFAULT_CONFIG.REMOTE_PROXY : process.env[source];
+
+  if (!url || url === 'none') {
+    return null;
+  }
+
+  const hostname = target.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+  if (matchesNoProxy(hostname, port, DEFAULT_CONFIG.REMOTE_NO_PROXY)) {
+    return null;
+  }
+
+  return { url, source };
+}
+
+/**
+ * 去掉 URL 中的用户名和密码（用于日志和调试输出）
+ * @param {string} url - URL
+ * @returns {string} 去掉认证信息后的 URL
+ */
+function redactUrlCredentials(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.username || parsed.password) {
+      parsed.username = '***';
+      parsed.password = '';
+    }
+    return parsed.toString().replace(/\/$/, '');
+  } catch {
+    return '***无法解析***';
+  }
+}
+
+/**
+ * 获取远程服务的 TLS 文件配置
+ * @returns {Object} { caFiles, certFile, keyFile, passphrase, rejectUnauthorized }
+ */
+function getTlsConfig() {
+  return {
+    caFiles: [DEFAULT_CONFIG.REMOTE_CA_FILE, DEFAULT_CONFIG.NODE_EXTRA_CA_CERTS].filter(Boolean),
+    certFile: DEFAULT_CONFIG.REMOTE_CLIENT_CERT_FILE,
+    keyFile: DEFAULT_CONFIG.REMOTE_CLIENT_KEY_FILE,
+    passphrase: DEFAULT_CONFIG.REMOTE_CLIENT_KEY_PASSPHRASE,
+    rejectUnauthorized: DEFAULT_CONFIG.REMOTE_TLS_REJECT_UNAUTHORIZED,
+  };
+}
+
 /**
  * 验证必要的配置是否存在
  * @returns {boolean} 配置是否有效
@@ -72,6 +266,35 @@ function validateConfig() {
     }
   }
 
+  if (!['stdio', 'http'].includes(DEFAULT_CONFIG.MCP_TRANSPORT)) {
+    console.error(`配置错误: MCP_TRANSPORT 只能是 stdio 或 http，当前为 ${DEFAULT_CONFIG.MCP_TRANSPORT}`);
+    return false;
+  }
+
+  if (!Number.isInteger(DEFAULT_CONFIG.MCP_HTTP_PORT) || DEFAULT_CONFIG.MCP_HTTP_PORT <= 0 || DEFAULT_CONFIG.MCP_HTTP_PORT > 65535) {
+    console.error(`配置错误: MCP_HTTP_PORT 不是有效的端口号`);
+    return false;
+  }
+
+  const proxy = getProxyConfig();
+  if (proxy && !isValidUrl(proxy.url)) {
+    console.error(`配置错误: ${proxy.source} 不是有效的代理地址`);
+    return false;
+  }
+
+  if (Boolean(DEFAULT_CONFIG.REMOTE_CLIENT_CERT_FILE) !== Boolean(DEFAULT_CONFIG.REMOTE_CLIENT_KEY_FILE)) {
+    console.error('配置错误: REMOTE_CLIENT_CERT_FILE 与 REMOTE_CLIENT_KEY_FILE 需要同时配置');
+    return false;
+  }
+
+  const tlsFiles = ['REMOTE_CA_FILE', 'NODE_EXTRA_CA_CERTS', 'REMOTE_CLIENT_CERT_FILE', 'REMOTE_CLIENT_KEY_FILE'];
+  for (const key of tlsFiles) {
+    if (DEFAULT_CONFIG[key] && !fs.existsSync(DEFAULT_CONFIG[key])) {
+      console.error(`配置错误: ${key} 指定的文件不存在: ${DEFAULT_CONFIG[key]}`);
+      return false;
+    }
+  }
+
   return true;
 }
 
@@ -95,10 +318,27 @@ function getRequestConfig(options = {}) {
  * @returns {Object} 配置对象（不包含敏感信息）
  */
 function getConfigForDebug() {
-  const { REMOTE_API_KEY, ...safeConfig } = DEFAULT_CONFIG;
+  const {
+    REMOTE_API_KEY,
+    MCP_AUTH_TOKENS,
+    REMOTE_PROXY,
+    REMOTE_CLIENT_KEY_PASSPHRASE,
+    ...safeConfig
+  } = DEFAULT_CONFIG;
+  const proxy = getProxyConfig();
+  const tls = getTlsConfig();
+
   return {
     ...safeConfig,
     REMOTE_API_KEY: REMOTE_API_KEY ? '***已配置***' : '未配置',
+    MCP_AUTH_TOKENS: MCP_AUTH_TOKENS ? '***已配置***' : '未配置',
+    REMOTE_PROXY: REMOTE_PROXY && REMOTE_PROXY !== 'none' ? redactUrlCredentials(REMOTE_PROXY) : REMOTE_PROXY || '未配置',
+    REMOTE_CLIENT_KEY_PASSPHRASE: REMOTE_CLIENT_KEY_PASSPHRASE ? '***已配置***' : '未配置',
+    // 各项出站连接选项对远程服务是否生效
+    OUTBOUND_PROXY: proxy ? `已启用 ${redactUrlCredentials(proxy.url)}（来自 ${proxy.source}）` : '未启用',
+    OUTBOUND_CUSTOM_CA: tls.caFiles.length > 0 ? `已启用 ${tls.caFiles.join(', ')}` : '未启用',
+    OUTBOUND_CLIENT_CERT: tls.certFile && tls.keyFile ? '已启用' : '未启用',
+    OUTBOUND_TLS_VERIFY: tls.rejectUnauthorized ? '已启用' : '已关闭（不校验远程服务证书）',
   };
 }
 
@@ -159,8 +399,12 @@ export {
   getApiUrl,
   getHeaders,
   validateConfig,
+  applyCliArgs,
   getRequestConfig,
   getConfigForDebug,
+  getProxyConfig,
+  getTlsConfig,
+  redactUrlCredentials,
   isValidUrl,
   getLogger,
 };
\ No newline at end of file
@@ -5,18 +5,42 @@
  * 启动 MCP 服务器，为 AI 助手提供短网址管理功能
  */
 
-import { createAndStartServer } from './mcp/server.js';
-import { getLogger, validateConfig, getConfigForDebug } from './config/remoteConfig.js';
+import { getLogger, validateConfig, getConfigForDebug, applyCliArgs } from './config/remoteConfig.js';
 
 const logger = getLogger();
 
+/**
+ * 子命令
+ */
+const COMMANDS = {
+  'mock-server': async (argv) => {
+    // 模拟服务端不依赖远程服务配置，按需加载
+    const { runMockServerCli } = await import('./mock/cli.js');
+    await runMockServerCli(argv);
+  },
+};
+
 /**
  * 主函数
  */
 async function main() {
+  const [command, ...commandArgs] = process.argv.slice(2);
+  if (COMMANDS[command]) {
+    try {
+      await COMMANDS[command](commandArgs);
+    } catch (error) {
+      console.error(`❌ ${command} 启动失败: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
   console.log('🚀 启动 Mliev 短网址 MCP 客户端...\n');
 
   try {
+    // 应用命令行参数（如 --transport http --port 3000）
+    applyCliArgs();
+
     // 显示配置信息（不包含敏感信息）
     console.log('📋 配置信息:');
     const config = getConfigForDebug();
@@ -33,7 +57,8 @@ async function main() {
 
     console.log('✅ 配置验证通过\n');
 
-    // 启动服务器
+    // 启动服务器（服务层在加载时会校验远程服务配置，因此按需加载）
+    const { createAndStartServer } = await import('./mcp/server.js');
     await createAndStartServer();
 
   } catch (error) {
@@ -0,0 +1,179 @@
+/**
+ * MCP 入站认证模块
+ * 为 HTTP 传输层提供 Bearer Token 认证，将令牌映射到命名调用方，并可为每个调用方指定独立的上游 API 密钥
+ */
+
+import fs from 'node:fs';
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+import { DEFAULT_CONFIG, getLogger } from '../config/remoteConfig.js';
+
+const logger = getLogger();
+
+/**
+ * 计算令牌摘要，用于定长比较
+ * @param {string} token - 令牌
+ * @returns {Buffer} SHA-256 摘要
+ */
+function digestToken(token) {
+  return createHash('sha256').update(token, 'utf8').digest();
+}
+
+/**
+ * 解析 MCP_AUTH_TOKENS 环境变量
+ * 格式：name:token,name2:token2；只写 token 时调用方名称为 token-<序号>
+ * @param {string} value - 环境变量值
+ * @returns {Array} 调用方列表
+ */
+function parseTokenList(value) {
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item, index) => {
+      const separatorIndex = item.indexOf(':');
+      if (separatorIndex === -1) {
+        return { name: `token-${index + 1}`, token: item };
+      }
+      return {
+        name: item.slice(0, separatorIndex).trim(),
+        token: item.slice(separatorIndex + 1).trim(),
+      };
+    });
+}
+
+/**
+ * 读取令牌文件
+ * 文件为 JSON 格式，可以是调用方数组，也可以是 { "principals": [...] }
+ * 每个调用方格式：{ "name": "alice", "token": "...", "api_key": "上游密钥（可选）" }
+ * @param {string} filePath - 令牌文件路径
+ * @returns {Array} 调用方列表
+ */
+function readTokenFile(filePath) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`无法读取令牌文件 ${filePath}: ${error.message}`);
+  }
+
+  const principals = Array.isArray(content) ? content : content?.principals;
+  if (!Array.isArray(principals)) {
+    throw new Error(`令牌文件 ${filePath} 格式错误，应为数组或包含 principals 数组的对象`);
+  }
+
+  return principals.map((item) => ({
+    name: item.name,
+    token: item.token,
+    apiKey: item.api_key || item.apiKey || null,
+  }));
+}
+
+/**
+ * 令牌认证器类
+ */
+class TokenAuthenticator {
+  /**
+   * @param {Array} principals - 调用方列表 [{ name, token, apiKey }]
+   */
+  constructor(principals = []) {
+    this.principals = [];
+
+    for (const principal of principals) {
+      if (!principal.name || !principal.token) {
+        throw new Error('认证配置错误: 每个调用方都必须包含 name 和 token');
+      }
+      if (this.principals.some((item) => item.name === principal.name)) {
+        throw new Error(`认证配置错误: 调用方名称重复 ${principal.name}`);
+      }
+
+      this.principals.push({
+        name: principal.name,
+        apiKey: principal.apiKey || null,
+        digest: digestToken(principal.token),
+      });
+    }
+  }
+
+  /**
+   * 是否启用了认证
+   * @returns {boolean} 是否启用
+   */
+  isEnabled() {
+    return this.principals.length > 0;
+  }
+
+  /**
+   * 根据令牌查找调用方
+   * @param {string} token - 令牌
+   * @returns {Object|null} 调用方 { name, apiKey }，未匹配时返回 null
+   */
+  verifyToken(token) {
+    if (!token) return null;
+
+    const digest = digestToken(token);
+    let matched = null;
+
+    // 遍历全部调用方，避免通过响应时间推测令牌
+    for (const principal of this.principals) {
+      if (timingSafeEqual(digest, principal.digest) && !matched) {
+        matched = principal;
+      }
+    }
+
+    return matched ? { name: matched.name, apiKey: matched.apiKey } : null;
+  }
+
+  /**
+   * 认证 HTTP 请求
+   * @param {http.IncomingMessage} req - HTTP 请求
+   * @returns {Object|null} 认证信息（MCP SDK 的 AuthInfo 格式），认证失败时返回 null
+   */
+  authenticate(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const token = match ? match[1].trim() : null;
+
+    const principal = this.verifyToken(token);
+    if (!principal) {
+      return null;
+    }
+
+    return {
+      token,
+      clientId: principal.name,
+      scopes: [],
+      extra: {
+        principal: principal.name,
+        apiKey: principal.apiKey,
+      },
+    };
+  }
+}
+
+/**
+ * 根据配置创建令牌认证器
+ * @returns {TokenAuthenticator} 令牌认证器
+ */
+function createAuthenticatorFromConfig() {
+  const principals = [];
+
+  if (DEFAULT_CONFIG.MCP_AUTH_TOKENS) {
+    principals.push(...parseTokenList(DEFAULT_CONFIG.MCP_AUTH_TOKENS));
+  }
+  if (DEFAULT_CONFIG.MCP_AUTH_TOKEN_FILE) {
+    principals.push(...readTokenFile(DEFAULT_CONFIG.MCP_AUTH_TOKEN_FILE));
+  }
+
+  const authenticator = new TokenAuthenticator(principals);
+
+  if (authenticator.isEnabled()) {
+    const withApiKey = authenticator.principals.filter((item) => item.apiKey).length;
+    logger.info(`已启用 Bearer Token 认证: ${authenticator.principals.length} 个调用方，其中 ${withApiKey} 个使用独立的上游 API 密钥`);
+  }
+
+  return authenticator;
+}
+
+export { TokenAuthenticator, createAuthenticatorFromConfig, parseTokenList, readTokenFile };
+export default TokenAuthenticator;
@@ -0,0 +1,458 @@
+/**
+ * MCP HTTP 传输层模块
+ * 通过 Streamable HTTP 提供 MCP 服务，并兼容旧版 SSE 传输，每个会话拥有独立的 MCP 服务器实例
+ */
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+import { getLogger } from '../config/remoteConfig.js';
+
+const logger = getLogger();
+
+/**
+ * 路由路径
+ */
+const ROUTES = {
+  STREAMABLE: '/mcp',
+  SSE: '/sse',
+  SSE_MESSAGES: '/messages',
+  HEALTH: '/health',
+};
+
+/**
+ * 请求体大小上限（字节）
+ */
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param {http.IncomingMessage} req - HTTP 请求
+ * @returns {Promise<any>} 解析后的请求体，没有请求体时返回 undefined
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('请求体过大'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (chunks.length === 0) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(Object.assign(new Error('请求体不是有效的 JSON'), { statusCode: 400 }));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 判断监听地址是否仅限本机访问
+ * @param {string} host - 监听地址
+ * @returns {boolean} 是否为回环地址
+ */
+function isLoopbackHost(host) {
+  return ['127.0.0.1', 'localhost', '::1'].includes(host);
+}
+
+/**
+ * 解析逗号分隔的列表
+ * @param {string|Array<string>} value - 配置值
+ * @returns {Array<string>} 去掉空白后的条目
+ */
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items.map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * 获取 DNS 重绑定防护允许的 Host 请求头
+ * 未配置时，监听回环地址的服务只允许本机名称加监听端口；监听其他地址时无法推断对外名称，不校验 Host
+ * @param {string} host - 监听地址
+ * @param {number} port - 监听端口
+ * @param {string|Array<string>} configured - 配置的 Host 列表
+ * @returns {Array<string>} 允许的 Host 请求头
+ */
+function resolveAllowedHosts(host, port, configured) {
+  const hosts = parseList(configured);
+  if (hosts.length > 0 || !isLoopbackHost(host)) {
+    return hosts;
+  }
+  return ['localhost', '127.0.0.1', '[::1]'].map((name) => `${name}:${port}`);
+}
+
+/**
+ * 发送 JSON-RPC 错误响应
+ * @param {http.ServerResponse} res - HTTP 响应
+ * @param {number} statusCode - HTTP 状态码
+ * @param {string} message - 错误信息
+ * @param {number} code - JSON-RPC 错误码
+ */
+function sendJsonRpcError(res, statusCode, message, code = -32000) {
+  if (res.headersSent) return;
+
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null,
+  }));
+}
+
+/**
+ * HTTP 传输服务器类
+ */
+class HttpTransportServer {
+  /**
+   * @param {Object} options - 选项
+   * @param {Function} options.createServer - 为每个会话创建 MCP 服务器实例的工厂函数
+   * @param {string} options.host - 监听地址
+   * @param {number} options.port - 监听端口
+   * @param {TokenAuthenticator} options.authenticator - 入站令牌认证器（可选）
+   * @param {string|Array<string>} options.allowedHosts - DNS 重绑定防护允许的 Host 请求头（可选）
+   * @param {string|Array<string>} options.allowedOrigins - DNS 重绑定防护允许的 Origin 请求头（可选）
+   * @param {number} options.sessionIdleTtl - 会话空闲超时（毫秒，0 表示不超时）
+   * @param {number} options.maxSessions - 同时存在的会话数上限（0 表示不限制）
+   */
+  constructor({
+    createServer,
+    host,
+    port,
+    authenticator = null,
+    allowedHosts = [],
+    allowedOrigins = [],
+    sessionIdleTtl = 30 * 60 * 1000,
+    maxSessions = 100,
+  }) {
+    this.createServer = createServer;
+    this.host = host;
+    this.port = port;
+    this.authenticator = authenticator;
+    this.allowedHosts = resolveAllowedHosts(host, port, allowedHosts);
+    this.allowedOrigins = parseList(allowedOrigins);
+    this.sessionIdleTtl = sessionIdleTtl;
+    this.maxSessions = maxSessions;
+    this.httpServer = null;
+    this.sweepTimer = null;
+    // sessionId -> { type, transport, server, principal, lastActivity }
+    this.sessions = new Map();
+  }
+
+  /**
+   * 传给 SDK 传输层的 DNS 重绑定防护选项
+   * @returns {Object} { enableDnsRebindingProtection, allowedHosts, allowedOrigins }
+   */
+  getTransportSecurityOptions() {
+    return {
+      enableDnsRebindingProtection: true,
+      allowedHosts: this.allowedHosts,
+      allowedOrigins: this.allowedOrigins,
+    };
+  }
+
+  /**
+   * 启动 HTTP 服务器
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (!this.authenticator?.isEnabled() && !isLoopbackHost(this.host)) {
+      logger.warn(`HTTP 服务监听在 ${this.host} 且未启用认证，任何能访问该地址的客户端都可以调用全部工具，请配置 MCP_AUTH_TOKENS 或 MCP_AUTH_TOKEN_FILE`);
+    }
+    if (this.allowedHosts.length === 0) {
+      logger.warn(`HTTP 服务监听在 ${this.host} 且未配置 MCP_ALLOWED_HOSTS，不校验 Host 请求头`);
+    }
+
+    // 定期关闭空闲会话，不阻止进程退出
+    if (this.sessionIdleTtl > 0) {
+      this.sweepTimer = setInterval(() => this.sweepIdleSessions(), Math.min(this.sessionIdleTtl, 60 * 1000));
+      this.sweepTimer.unref();
+    }
+
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        logger.error('处理 HTTP 请求失败:', error);
+        sendJsonRpcError(res, error.statusCode || 500, error.statusCode ? error.message : '服务器内部错误');
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        logger.info(`MCP HTTP 服务已启动: http://${this.host}:${this.port}${ROUTES.STREAMABLE}（SSE 兼容地址: ${ROUTES.SSE}）`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 路由 HTTP 请求
+   * @param {http.IncomingMessage} req - HTTP 请求
+   * @param {http.ServerResponse} res - HTTP 响应
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname !== ROUTES.HEALTH && this.authenticator?.isEnabled()) {
+      const authInfo = this.authenticator.authenticate(req);
+      if (!authInfo) {
+        logger.warn('拒绝未认证的 HTTP 请求:', { path: url.pathname, remote: req.socket.remoteAddress });
+        res.setHeader('WWW-Authenticate', 'Bearer realm="dwz-mcp"');
+        sendJsonRpcError(res, 401, '未授权：缺少或无效的 Bearer Token');
+        return undefined;
+      }
+      // MCP SDK 会将 req.auth 作为 authInfo 传递给请求处理器
+      req.auth = authInfo;
+    }
+
+    switch (url.pathname) {
+      case ROUTES.STREAMABLE:
+        return this.handleStreamableRequest(req, res);
+      case ROUTES.SSE:
+        return this.handleSseConnect(req, res);
+      case ROUTES.SSE_MESSAGES:
+        return this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+      case ROUTES.HEALTH:
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'ok', sessions: this.sessions.size }));
+        return undefined;
+      default:
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not Found' }));
+        return undefined;
+    }
+  }
+
+  /**
+   * 处理 Streamable HTTP 请求（POST / GET / DELETE）
+   * @param {http.IncomingMessage} req - HTTP 请求
+   * @param {http.ServerResponse} res - HTTP 响应
+   */
+  async handleStreamableRequest(req, res) {
+    if (!['POST', 'GET', 'DELETE'].includes(req.method)) {
+      sendJsonRpcError(res, 405, `不支持的请求方法: ${req.method}`);
+      return;
+    }
+
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+
+    if (session) {
+      if (session.type !== 'streamable') {
+        sendJsonRpcError(res, 400, '该会话使用的是 SSE 传输');
+        return;
+      }
+      if (!this.isSessionOwner(session, req)) {
+        sendJsonRpcError(res, 403, '无权访问其他调用方的会话');
+        return;
+      }
+      session.lastActivity = Date.now();
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (sessionId) {
+      sendJsonRpcError(res, 404, `会话不存在或已过期: ${sessionId}`, -32001);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, '缺少会话 ID，首个请求必须是 initialize');
+      return;
+    }
+
+    if (!(await this.reserveSessionSlot(res))) {
+      return;
+    }
+
+    // 新会话：创建独立的传输层和 MCP 服务器实例
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        this.sessions.set(newSessionId, {
+          type: 'streamable',
+          transport,
+          server,
+          principal: req.auth?.clientId || null,
+          lastActivity: Date.now(),
+        });
+        logger.info(`新建 Streamable HTTP 会话: ${newSessionId}`);
+      },
+      ...this.getTransportSecurityOptions(),
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        logger.info(`Streamable HTTP 会话已关闭: ${transport.sessionId}`);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * 处理旧版 SSE 连接请求
+   * @param {http.IncomingMessage} req - HTTP 请求
+   * @param {http.ServerResponse} res - HTTP 响应
+   */
+  async handleSseConnect(req, res) {
+    if (req.method !== 'GET') {
+      sendJsonRpcError(res, 405, `不支持的请求方法: ${req.method}`);
+      return;
+    }
+
+    if (!(await this.reserveSessionSlot(res))) {
+      return;
+    }
+
+    const server = this.createServer();
+    const transport = new SSEServerTransport(ROUTES.SSE_MESSAGES, res, this.getTransportSecurityOptions());
+    this.sessions.set(transport.sessionId, {
+      type: 'sse',
+      transport,
+      server,
+      principal: req.auth?.clientId || null,
+      lastActivity: Date.now(),
+    });
+    logger.info(`新建 SSE 会话: ${transport.sessionId}`);
+
+    res.on('close', () => {
+      this.sessions.delete(transport.sessionId);
+      logger.info(`SSE 会话已关闭: ${transport.sessionId}`);
+    });
+
+    await server.connect(transport);
+  }
+
+  /**
+   * 处理旧版 SSE 客户端发送的消息
+   * @param {http.IncomingMessage} req - HTTP 请求
+   * @param {http.ServerResponse} res - HTTP 响应
+   * @param {string|null} sessionId - 会话 ID
+   */
+  async handleSseMessage(req, res, sessionId) {
+    if (req.method !== 'POST') {
+      sendJsonRpcError(res, 405, `不支持的请求方法: ${req.method}`);
+      return;
+    }
+
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session || session.type !== 'sse') {
+      sendJsonRpcError(res, 404, `SSE 会话不存在: ${sessionId}`, -32001);
+      return;
+    }
+    if (!this.isSessionOwner(session, req)) {
+      sendJsonRpcError(res, 403, '无权访问其他调用方的会话');
+      return;
+    }
+
+    session.lastActivity = Date.now();
+    const body = await readJsonBody(req);
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  /**
+   * 新建会话前检查会话数上限，已满时先关闭空闲会话，仍然已满则返回 503
+   * @param {http.ServerResponse} res - HTTP 响应
+   * @returns {Promise<boolean>} 是否可以新建会话
+   */
+  async reserveSessionSlot(res) {
+    if (!this.maxSessions || this.sessions.size < this.maxSessions) {
+      return true;
+    }
+
+    await this.sweepIdleSessions();
+    if (this.sessions.size < this.maxSessions) {
+      return true;
+    }
+
+    logger.warn(`会话数已达上限 ${this.maxSessions}，拒绝新会话`);
+    res.setHeader('Retry-After', '60');
+    sendJsonRpcError(res, 503, `会话数已达上限（${this.maxSessions}），请稍后重试`);
+    return false;
+  }
+
+  /**
+   * 关闭空闲时间超过 sessionIdleTtl 的会话
+   * @returns {Promise<number>} 关闭的会话数
+   */
+  async sweepIdleSessions() {
+    if (!this.sessionIdleTtl) {
+      return 0;
+    }
+
+    const deadline = Date.now() - this.sessionIdleTtl;
+    const idle = Array.from(this.sessions).filter(([, session]) => session.lastActivity < deadline);
+
+    for (const [sessionId, session] of idle) {
+      this.sessions.delete(sessionId);
+      logger.info(`关闭空闲会话: ${sessionId}`);
+      try {
+        await session.transport.close();
+      } catch (error) {
+        logger.warn(`关闭会话 ${sessionId} 失败:`, error.message);
+      }
+    }
+
+    return idle.length;
+  }
+
+  /**
+   * 检查请求方是否为会话的创建者
+   * @param {Object} session - 会话信息
+   * @param {http.IncomingMessage} req - HTTP 请求
+   * @returns {boolean} 是否为同一调用方
+   */
+  isSessionOwner(session, req) {
+    return session.principal === (req.auth?.clientId || null);
+  }
+
+  /**
+   * 关闭所有会话和 HTTP 服务器
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+
+    for (const [sessionId, session] of this.sessions) {
+      try {
+        await session.transport.close();
+      } catch (error) {
+        logger.warn(`关闭会话 ${sessionId} 失败:`, error.message);
+      }
+    }
+    this.sessions.clear();
+
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+}
+
+export { HttpTransportServer, ROUTES };
+export default HttpTransportServer;
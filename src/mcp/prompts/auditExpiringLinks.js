@@ -0,0 +1,63 @@
+/**
+ * MCP 提示词：审计即将过期的短链接
+ * 引导模型遍历短链接列表，找出即将过期或已过期的链接并给出处理建议
+ */
+
+import { getUrlInfoHelp } from '../tools/getUrlInfo.js';
+import { updateShortUrlHelp } from '../tools/updateShortUrl.js';
+import { formatToolHelp, userMessage } from './promptUtils.js';
+
+/**
+ * MCP 提示词定义：审计即将过期的短链接
+ */
+export const auditExpiringLinksPrompt = {
+  name: 'audit_expiring_links',
+  title: '审计即将过期的短链接',
+  description: '找出指定天数内即将过期以及已经过期的短链接，并给出续期或停用建议。',
+  // 提示词引导调用的工具，其中任一被权限策略禁止时不提供该提示词（update_short_url 只在用户确认后使用，不要求）
+  requiredTools: ['list_short_urls', 'get_url_info'],
+  arguments: [
+    {
+      name: 'within_days',
+      description: '检查未来多少天内过期的链接，默认7天',
+      required: false,
+    },
+    {
+      name: 'domain',
+      description: '只检查指定域名下的链接（可选）',
+      required: false,
+    },
+  ],
+
+  /**
+   * 生成提示词消息
+   * @param {Object} args - 提示词参数
+   * @returns {Array} 消息列表
+   */
+  getMessages(args) {
+    const withinDays = parseInt(args.within_days || '7', 10) || 7;
+    const now = new Date();
+    const deadline = new Date(now.getTime() + withinDays * 24 * 60 * 60 * 1000);
+
+    const text = [
+      `请审计${args.domain ? `域名 \`${args.domain}\` 下的` : ''}短链接，找出在 ${withinDays} 天内（${deadline.toISOString()} 之前）过期以及已经过期的链接。当前时间：${now.toISOString()}。`,
+      '',
+      '## 步骤',
+      `1. 调用 \`list_short_urls\`，page_size 设为 100${args.domain ? `，domain 设为 \`${args.domain}\`` : ''}，从第 1 页开始逐页读取，直到读完 total_pages。`,
+      '2. 根据每条记录的 expire_at 分为三组：已过期、即将过期、无需处理（expire_at 为 null 表示永不过期）。',
+      '3. 对需要关注的链接，如列表信息不完整，调用 `get_url_info` 获取详情（点击次数、激活状态）。',
+      '4. 用表格列出已过期和即将过期的链接：ID、短网址、标题、过期时间、点击次数、建议（续期 / 停用 / 保持）。',
+      '5. 不要自行修改任何链接。如用户确认需要续期或停用，再使用 `update_short_url` 修改 expire_at 或 is_active。',
+      '',
+      '## 工具说明',
+      '',
+      formatToolHelp('get_url_info', getUrlInfoHelp),
+      '',
+      formatToolHelp('update_short_url', updateShortUrlHelp),
+    ].join('\n');
+
+    return [userMessage(text)];
+  },
+};
+
+export default auditExpiringLinksPrompt;
@@ -0,0 +1,77 @@
+/**
+ * MCP 提示词：创建活动短链接
+ * 引导模型依次使用 list_domains → create_short_url 为一组落地页创建活动短链接
+ */
+
+import { listDomainsHelp } from '../tools/listDomains.js';
+import { createShortUrlHelp } from '../tools/createShortUrl.js';
+import { formatToolHelp, splitList, userMessage } from './promptUtils.js';
+
+/**
+ * MCP 提示词定义：创建活动短链接
+ */
+export const createCampaignLinksPrompt = {
+  name: 'create_campaign_links',
+  title: '创建活动短链接',
+  description: '为一次营销活动的多个落地页批量创建短链接：先选择可用域名，再逐个创建并汇总结果。',
+  // 提示词引导调用的工具，其中任一被权限策略禁止时不提供该提示词
+  requiredTools: ['list_domains', 'create_short_url'],
+  arguments: [
+    {
+      name: 'campaign',
+      description: '活动名称，用于生成短链接标题',
+      required: true,
+    },
+    {
+      name: 'urls',
+      description: '落地页URL列表，以逗号或换行分隔',
+      required: true,
+    },
+    {
+      name: 'domain',
+      description: '要使用的短网址域名（可选，不提供时从可用域名中选择）',
+      required: false,
+    },
+    {
+      name: 'expire_at',
+      description: '活动结束时间（可选，ISO 8601格式），作为短链接的过期时间',
+      required: false,
+    },
+  ],
+
+  /**
+   * 生成提示词消息
+   * @param {Object} args - 提示词参数
+   * @returns {Array} 消息列表
+   */
+  getMessages(args) {
+    const urls = splitList(args.urls);
+    const domainStep = args.domain
+      ? `1. 使用域名 \`${args.domain}\`。如果不确定该域名是否可用，先调用 \`list_domains\` 确认它处于激活状态。`
+      : '1. 调用 `list_domains` 获取可用域名，只从 is_active 为 true 的域名中选择；有多个可选时优先选择与活动最相关的域名，并说明选择理由。';
+
+    const text = [
+      `请为营销活动「${args.campaign}」创建短链接。`,
+      '',
+      '## 落地页',
+      ...urls.map((url, index) => `${index + 1}. ${url}`),
+      '',
+      '## 步骤',
+      domainStep,
+      `2. 为每个落地页调用 \`create_short_url\`，标题使用「${args.campaign} - <落地页简述>」的格式${args.expire_at ? `，expire_at 设置为 \`${args.expire_at}\`` : ''}。`,
+      '3. 某个链接创建失败时记录原因并继续处理其余链接，不要重复创建已经成功的链接。',
+      '4. 最后用表格汇总：落地页、短网址、短网址ID、状态（成功/失败及原因）。',
+      '5. 提醒用户之后可以用 `get_url_statistics` 跟踪这些链接的点击效果。',
+      '',
+      '## 工具说明',
+      '',
+      formatToolHelp('list_domains', listDomainsHelp),
+      '',
+      formatToolHelp('create_short_url', createShortUrlHelp),
+    ].join('\n');
+
+    return [userMessage(text)];
+  },
+};
+
+export default createCampaignLinksPrompt;
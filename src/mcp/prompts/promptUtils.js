@@ -0,0 +1,62 @@
+/**
+ * MCP 提示词工具函数
+ * 将各工具模块导出的帮助信息格式化为提示词文本
+ */
+
+/**
+ * 将工具帮助信息格式化为 Markdown 文本
+ * @param {string} toolName - 工具名称
+ * @param {Object} help - 工具帮助信息（usage / tips / troubleshooting）
+ * @returns {string} 格式化后的文本
+ */
+function formatToolHelp(toolName, help) {
+  const sections = [`### 工具 ${toolName}`];
+
+  if (help.usage) {
+    // 去掉帮助文本自带的标题，并将小节标题降一级，避免与提示词结构冲突
+    sections.push(help.usage.trim().replace(/^##\s.*\n+/, '').replace(/^### /gm, '#### '));
+  }
+
+  if (help.tips?.length) {
+    sections.push(['**注意事项：**', ...help.tips.map((tip) => `- ${tip}`)].join('\n'));
+  }
+
+  if (help.troubleshooting?.length) {
+    sections.push([
+      '**常见问题：**',
+      ...help.troubleshooting.map((item) => `- ${item.problem}：${item.solution}`),
+    ].join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * 将逗号或换行分隔的字符串拆分为列表
+ * @param {string} value - 原始字符串
+ * @returns {Array} 拆分后的列表
+ */
+function splitList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(/[\n,]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 创建单条用户消息
+ * @param {string} text - 消息文本
+ * @returns {Object} MCP 提示词消息
+ */
+function userMessage(text) {
+  return {
+    role: 'user',
+    content: {
+      type: 'text',
+      text,
+    },
+  };
+}
+
+export { formatToolHelp, splitList, userMessage };
@@ -0,0 +1,76 @@
+/**
+ * MCP 提示词：总结短链接表现
+ * 引导模型结合 get_url_info 与 get_url_statistics 总结一个或多个短链接的点击表现
+ */
+
+import { getUrlInfoHelp } from '../tools/getUrlInfo.js';
+import { getUrlStatisticsHelp } from '../tools/getUrlStatistics.js';
+import { formatToolHelp, splitList, userMessage } from './promptUtils.js';
+
+/**
+ * MCP 提示词定义：总结短链接表现
+ */
+export const summarizeLinkPerformancePrompt = {
+  name: 'summarize_link_performance',
+  title: '总结短链接表现',
+  description: '汇总一个或多个短链接在指定周期内的点击数据、峰值和趋势，并给出结论。',
+  // 提示词引导调用的工具，其中任一被权限策略禁止时不提供该提示词
+  requiredTools: ['list_short_urls', 'get_url_info', 'get_url_statistics'],
+  arguments: [
+    {
+      name: 'ids',
+      description: '短网址ID列表，以逗号分隔（与 keyword 二选一）',
+      required: false,
+    },
+    {
+      name: 'keyword',
+      description: '按关键词查找要分析的短链接，例如活动名称（与 ids 二选一）',
+      required: false,
+    },
+    {
+      name: 'days',
+      description: '统计周期天数，默认7天',
+      required: false,
+    },
+  ],
+
+  /**
+   * 生成提示词消息
+   * @param {Object} args - 提示词参数
+   * @returns {Array} 消息列表
+   */
+  getMessages(args) {
+    const ids = splitList(args.ids);
+    const days = parseInt(args.days || '7', 10) || 7;
+
+    let selectStep;
+    if (ids.length > 0) {
+      selectStep = `1. 要分析的短网址ID：${ids.join('、')}。对每个ID调用 \`get_url_info\` 获取基本信息。`;
+    } else if (args.keyword) {
+      selectStep = `1. 调用 \`list_short_urls\` 并设置 keyword 为「${args.keyword}」找出要分析的短链接（结果超过一页时继续翻页）。`;
+    } else {
+      selectStep = '1. 用户没有指定链接，先询问要分析哪些短链接（ID 或关键词），不要分析全部链接。';
+    }
+
+    const text = [
+      `请总结短链接在最近 ${days} 天的表现。`,
+      '',
+      '## 步骤',
+      selectStep,
+      `2. 对每个链接调用 \`get_url_statistics\`，days 设为 ${days}。`,
+      '3. 为每个链接列出：总点击数、日均点击数、峰值日期及点击数、与上一周期相比的趋势。',
+      '4. 多个链接时按总点击数排序，指出表现最好和最差的链接，并说明可能的原因（如已停用、已过期）。',
+      '5. 最后用两三句话给出整体结论和建议。',
+      '',
+      '## 工具说明',
+      '',
+      formatToolHelp('get_url_info', getUrlInfoHelp),
+      '',
+      formatToolHelp('get_url_statistics', getUrlStatisticsHelp),
+    ].join('\n');
+
+    return [userMessage(text)];
+  },
+};
+
+export default summarizeLinkPerformancePrompt;
@@ -0,0 +1,46 @@
+/**
+ * MCP 资源：域名列表
+ * 以资源的形式发布所有可用域名，客户端可以直接将其作为上下文附加
+ */
+
+import defaultShortLinkService from '../../services/shortLinkService.js';
+
+/**
+ * MCP 资源定义：域名列表
+ */
+export const domainsResource = {
+  uri: 'dwz://domains',
+  name: 'domains',
+  title: '短网址域名列表',
+  description: '所有可用于创建短网址的域名，包括协议、激活状态等配置信息。',
+  mimeType: 'application/json',
+
+  /**
+   * 匹配资源 URI
+   * @param {URL} url - 解析后的资源 URI
+   * @returns {Object|null} 匹配参数，不匹配时返回 null
+   */
+  match(url) {
+    return url.host === 'domains' && (url.pathname === '' || url.pathname === '/') ? {} : null;
+  },
+
+  /**
+   * 读取资源内容
+   * @returns {Promise<Object>} 资源内容
+   */
+  async read() {
+    const result = await defaultShortLinkService.listDomains();
+    const domains = result?.list || [];
+
+    return {
+      domains,
+      summary: {
+        total: domains.length,
+        active: domains.filter((d) => d.is_active).length,
+        inactive: domains.filter((d) => !d.is_active).length,
+      },
+    };
+  },
+};
+
+export default domainsResource;
@@ -0,0 +1,132 @@
+/**
+ * MCP 资源：短网址
+ * 发布分页的短网址列表资源（dwz://links）以及单个短网址的资源模板（dwz://links/{id}）
+ */
+
+import defaultShortLinkService from '../../services/shortLinkService.js';
+
+/**
+ * resources/list 每页枚举的短网址数量
+ */
+const LIST_PAGE_SIZE = 50;
+
+/**
+ * 将短网址记录转换为资源描述
+ * @param {Object} link - 短网址记录
+ * @returns {Object} 资源描述
+ */
+function toLinkResource(link) {
+  return {
+    uri: `dwz://links/${link.id}`,
+    name: `link-${link.id}`,
+    title: link.title || link.short_url || `短网址 ${link.id}`,
+    description: link.short_url && link.original_url
+      ? `${link.short_url} → ${link.original_url}`
+      : undefined,
+    mimeType: 'application/json',
+  };
+}
+
+/**
+ * MCP 资源定义：短网址列表
+ * 支持查询参数 page、page_size、domain、keyword，例如 dwz://links?page=2&page_size=20
+ */
+export const linksResource = {
+  uri: 'dwz://links',
+  name: 'links',
+  title: '短网址列表',
+  description: '分页的短网址列表。可通过查询参数 page、page_size、domain、keyword 翻页和筛选，例如 dwz://links?page=2&domain=dwz.test。',
+  mimeType: 'application/json',
+
+  /**
+   * 匹配资源 URI
+   * @param {URL} url - 解析后的资源 URI
+   * @returns {Object|null} 匹配参数，不匹配时返回 null
+   */
+  match(url) {
+    if (url.host !== 'links' || (url.pathname !== '' && url.pathname !== '/')) {
+      return null;
+    }
+
+    const params = {};
+    for (const key of ['page', 'page_size', 'domain', 'keyword']) {
+      const value = url.searchParams.get(key);
+      if (value !== null && value !== '') {
+        params[key] = value;
+      }
+    }
+    return params;
+  },
+
+  /**
+   * 读取资源内容
+   * @param {Object} params - 查询参数
+   * @returns {Promise<Object>} 资源内容
+   */
+  async read(params) {
+    const result = await defaultShortLinkService.listShortUrls(params);
+    const size = result?.size || params.page_size || 10;
+    const totalPages = result?.total ? Math.ceil(result.total / size) : 0;
+    const page = result?.page || 1;
+
+    return {
+      list: result?.list || [],
+      pagination: {
+        total: result?.total ?? 0,
+        page,
+        size,
+        total_pages: totalPages,
+        next: page < totalPages ? `dwz://links?${new URLSearchParams({ ...params, page: String(page + 1) })}` : null,
+      },
+    };
+  },
+
+  /**
+   * 枚举短网址资源（用于 resources/list 分页）
+   * @param {string} cursor - 分页游标（页码）
+   * @returns {Promise<Object>} { resources, nextCursor }
+   */
+  async enumerate(cursor) {
+    const page = Math.max(1, parseInt(cursor || '1', 10) || 1);
+    const result = await defaultShortLinkService.listShortUrls({ page, page_size: LIST_PAGE_SIZE });
+    const list = result?.list || [];
+    const totalPages = result?.total ? Math.ceil(result.total / (result.size || LIST_PAGE_SIZE)) : 0;
+
+    return {
+      resources: list.map(toLinkResource),
+      nextCursor: page < totalPages ? String(page + 1) : undefined,
+    };
+  },
+};
+
+/**
+ * MCP 资源模板定义：单个短网址
+ */
+export const linkResourceTemplate = {
+  uriTemplate: 'dwz://links/{id}',
+  name: 'link',
+  title: '短网址详情',
+  description: '指定ID的短网址详细信息，包括原始URL、标题、过期时间、激活状态和点击次数。',
+  mimeType: 'application/json',
+
+  /**
+   * 匹配资源 URI
+   * @param {URL} url - 解析后的资源 URI
+   * @returns {Object|null} 匹配参数，不匹配时返回 null
+   */
+  match(url) {
+    const matched = url.host === 'links' && url.pathname.match(/^\/(\d+)\/?$/);
+    return matched ? { id: parseInt(matched[1], 10) } : null;
+  },
+
+  /**
+   * 读取资源内容
+   * @param {Object} params - 模板参数
+   * @returns {Promise<Object>} 资源内容
+   */
+  async read(params) {
+    return defaultShortLinkService.getUrlInfo(params.id);
+  },
+};
+
+export default linksResource;
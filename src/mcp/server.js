@@ -8,20 +8,48 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
   ErrorCode,
   McpError,
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { DEFAULT_CONFIG, getLogger, validateConfig } from '../config/remoteConfig.js';
 import defaultShortLinkService from '../services/shortLinkService.js';
+import HttpTransportServer from './httpTransport.js';
+import { createAuthenticatorFromConfig } from './auth.js';
+import { runWithRequestContext } from '../utils/requestContext.js';
+import { ErrorHandler, ErrorCodes, PermissionError } from '../utils/errorHandler.js';
+import { getMcpConfig } from '../config/mcpConfig.js';
+import ToolPolicy from './toolPolicy.js';
 
 // 导入所有工具
 import createShortUrlTool from './tools/createShortUrl.js';
 import getUrlInfoTool from './tools/getUrlInfo.js';
+import updateShortUrlTool from './tools/updateShortUrl.js';
+import getUrlStatisticsTool from './tools/getUrlStatistics.js';
+import resolveShortUrlTool from './tools/resolveShortUrl.js';
 import listShortUrlsTool from './tools/listShortUrls.js';
 import deleteShortUrlTool from './tools/deleteShortUrl.js';
 import batchCreateShortUrlsTool from './tools/batchCreateShortUrls.js';
+import bulkDeleteShortUrlsTool from './tools/bulkDeleteShortUrls.js';
+import bulkUpdateShortUrlsTool from './tools/bulkUpdateShortUrls.js';
+import exportShortUrlsTool from './tools/exportShortUrls.js';
+import importShortUrlsTool from './tools/importShortUrls.js';
 import listDomainsTool from './tools/listDomains.js';
+import getServiceStatusTool from './tools/getServiceStatus.js';
+
+// 导入所有资源
+import domainsResource from './resources/domainsResource.js';
+import linksResource, { linkResourceTemplate } from './resources/linksResource.js';
+
+// 导入所有提示词
+import createCampaignLinksPrompt from './prompts/createCampaignLinks.js';
+import auditExpiringLinksPrompt from './prompts/auditExpiringLinks.js';
+import summarizeLinkPerformancePrompt from './prompts/summarizeLinkPerformance.js';
 
 const logger = getLogger();
 
@@ -31,7 +59,12 @@ const logger = getLogger();
 class McpShortLinkServer {
   constructor() {
     this.server = null;
+    this.httpTransport = null;
     this.tools = new Map();
+    this.resources = [];
+    this.resourceTemplates = [];
+    this.prompts = new Map();
+    this.policy = null;
     this.initializeServer();
   }
 
@@ -44,8 +77,28 @@ class McpShortLinkServer {
       throw new Error('MCP 服务器配置无效，请检查环境变量');
     }
 
-    // 创建 MCP 服务器实例
-    this.server = new Server(
+    // 加载权限策略
+    this.policy = new ToolPolicy(getMcpConfig());
+    logger.info('工具权限策略:', this.policy.getSummary());
+
+    // 注册所有工具、资源和提示词
+    this.registerTools();
+    this.registerResources();
+    this.registerPrompts();
+
+    // 创建 MCP 服务器实例（HTTP 模式下每个会话另行创建）
+    this.server = this.createServerInstance();
+
+    logger.info('MCP 服务器初始化完成');
+  }
+
+  /**
+   * 创建 MCP 服务器实例并设置请求处理器
+   * 所有实例共享同一个工具注册表
+   * @returns {Server} MCP 服务器实例
+   */
+  createServerInstance() {
+    const server = new Server(
       {
         name: DEFAULT_CONFIG.MCP_SERVER_NAME,
         version: DEFAULT_CONFIG.MCP_SERVER_VERSION,
@@ -53,17 +106,15 @@ class McpShortLinkServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
-    // 注册所有工具
-    this.registerTools();
-
-    // 设置请求处理器
-    this.setupRequestHandlers();
+    this.setupRequestHandlers(server);
 
-    logger.info('MCP 服务器初始化完成');
+    return server;
   }
 
   /**
@@ -73,29 +124,157 @@ class McpShortLinkServer {
     const tools = [
       createShortUrlTool,
       getUrlInfoTool,
+      updateShortUrlTool,
+      getUrlStatisticsTool,
+      resolveShortUrlTool,
       listShortUrlsTool,
       deleteShortUrlTool,
       batchCreateShortUrlsTool,
+      bulkDeleteShortUrlsTool,
+      bulkUpdateShortUrlsTool,
+      exportShortUrlsTool,
+      importShortUrlsTool,
       listDomainsTool,
+      getServiceStatusTool,
     ];
 
     for (const tool of tools) {
       this.tools.set(tool.name, tool);
-      logger.debug(`注册工具: ${tool.name}`);
+
+      const { allowed, reason } = this.policy.evaluate(tool);
+      logger.debug(`注册工具: ${tool.name}${allowed ? '' : `（已禁用: ${reason}）`}`);
+    }
+
+    logger.info(`已注册 ${tools.length} 个工具，其中 ${this.getAllowedTools().length} 个可用`);
+  }
+
+  /**
+   * 获取当前权限策略下可用的工具
+   * @returns {Array} 工具列表
+   */
+  getAllowedTools() {
+    return Array.from(this.tools.values()).filter((tool) => this.policy.evaluate(tool).allowed);
+  }
+
+  /**
+   * 检查提示词引导调用的工具是否都可用
+   * @param {Object} prompt - 提示词定义
+   * @returns {Object} { allowed, reason }
+   */
+  evaluatePrompt(prompt) {
+    for (const toolName of prompt.requiredTools || []) {
+      const tool = this.tools.get(toolName);
+      const { allowed, reason } = tool
+        ? this.policy.evaluate(tool)
+        : { allowed: false, reason: `工具 ${toolName} 未注册` };
+      if (!allowed) {
+        return { allowed: false, reason: `需要的工具 ${toolName} 不可用: ${reason}` };
+      }
     }
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * 注册所有资源和资源模板
+   */
+  registerResources() {
+    this.resources = [domainsResource, linksResource];
+    this.resourceTemplates = [linkResourceTemplate];
 
-    logger.info(`已注册 ${tools.length} 个工具`);
+    logger.info(`已注册 ${this.resources.length} 个资源，${this.resourceTemplates.length} 个资源模板`);
+  }
+
+  /**
+   * 注册所有提示词
+   */
+  registerPrompts() {
+    const prompts = [
+      createCampaignLinksPrompt,
+      auditExpiringLinksPrompt,
+      summarizeLinkPerformancePrompt,
+    ];
+
+    for (const prompt of prompts) {
+      this.prompts.set(prompt.name, prompt);
+      logger.debug(`注册提示词: ${prompt.name}`);
+    }
+
+    logger.info(`已注册 ${prompts.length} 个提示词`);
+  }
+
+  /**
+   * 根据 MCP 请求的附加信息创建请求上下文
+   * signal 在客户端发送 notifications/cancelled 或连接断开时中止，HTTP 客户端据此取消该次调用发出的请求
+   * @param {Object} extra - MCP SDK 传入的请求附加信息
+   * @returns {Object} 请求上下文
+   */
+  createRequestContext(extra) {
+    return {
+      principal: extra?.authInfo?.extra?.principal || null,
+      apiKey: extra?.authInfo?.extra?.apiKey || null,
+      signal: extra?.signal || null,
+    };
+  }
+
+  /**
+   * 在工具结果的 meta 中附加运行时信息（当前限流器状态，以及服务端返回的剩余配额）
+   * 需要在请求上下文中调用，服务端配额按调用方的凭据区分
+   * @param {Object} result - 工具处理器返回的结果
+   * @returns {Object} 附加信息后的结果
+   */
+  attachRuntimeMeta(result) {
+    if (!result || typeof result !== 'object') {
+      return result;
+    }
+
+    const { httpClient } = defaultShortLinkService;
+    const upstreamRateLimit = httpClient.getUpstreamRateLimit();
+    const target = result.data?.meta ? result.data : result;
+    target.meta = {
+      ...target.meta,
+      rate_limit: httpClient.getRateLimitState(),
+      ...(upstreamRateLimit && { upstream_rate_limit: upstreamRateLimit }),
+    };
+
+    return result;
+  }
+
+  /**
+   * 将服务层错误转换为 McpError
+   * @param {Error|Object} error - 服务层抛出的错误
+   * @param {string} prefix - 错误信息前缀
+   * @returns {McpError} MCP 错误
+   */
+  toMcpError(error, prefix) {
+    if (error instanceof McpError) {
+      return error;
+    }
+
+    const handledError = ErrorHandler.handle(error);
+    const isClientError = [
+      ErrorCodes.RESOURCE_NOT_FOUND,
+      ErrorCodes.VALIDATION_ERROR,
+      ErrorCodes.INVALID_PARAMETER,
+    ].includes(handledError.code);
+
+    return new McpError(
+      isClientError ? ErrorCode.InvalidParams : ErrorCode.InternalError,
+      `${prefix}: ${handledError.message}`,
+      { code: handledError.code }
+    );
   }
 
   /**
    * 设置请求处理器
+   * @param {Server} server - MCP 服务器实例
    */
-  setupRequestHandlers() {
+  setupRequestHandlers(server) {
     // 处理工具列表请求
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       logger.debug('收到工具列表请求');
 
-      const toolList = Array.from(this.tools.values()).map((tool) => ({
+      // 隐藏被权限策略禁止的工具
+      const toolList = this.getAllowedTools().map((tool) => ({
         name: tool.name,
         description: tool.description,
         inputSchema: tool.inputSchema,
@@ -104,11 +283,147 @@ class McpShortLinkServer {
       return { tools: toolList };
     });
 
+    // 处理资源列表请求：固定资源 + 按游标分页枚举的短网址
+    server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+      const cursor = request.params?.cursor;
+      logger.debug('收到资源列表请求', { cursor });
+
+      // 资源均为读取操作，不允许读取时不发布任何资源
+      if (!this.policy.isPermissionAllowed('read')) {
+        return { resources: [] };
+      }
+
+      const staticResources = cursor
+        ? []
+        : this.resources.map(({ uri, name, title, description, mimeType }) => ({
+          uri, name, title, description, mimeType,
+        }));
+
+      try {
+        const page = await runWithRequestContext(
+          this.createRequestContext(extra),
+          () => linksResource.enumerate(cursor)
+        );
+
+        return {
+          resources: [...staticResources, ...page.resources],
+          nextCursor: page.nextCursor,
+        };
+      } catch (error) {
+        throw this.toMcpError(error, '获取资源列表失败');
+      }
+    });
+
+    // 处理资源模板列表请求
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      logger.debug('收到资源模板列表请求');
+
+      return {
+        resourceTemplates: this.resourceTemplates.map(({ uriTemplate, name, title, description, mimeType }) => ({
+          uriTemplate, name, title, description, mimeType,
+        })),
+      };
+    });
+
+    // 处理资源读取请求
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      const { uri } = request.params;
+      logger.info(`收到资源读取请求: ${uri}`);
+
+      let url;
+      try {
+        url = new URL(uri);
+      } catch {
+        throw new McpError(ErrorCode.InvalidParams, `无效的资源 URI: ${uri}`);
+      }
+
+      let params = null;
+      const resource = [...this.resources, ...this.resourceTemplates].find((item) => {
+        params = url.protocol === 'dwz:' ? item.match(url) : null;
+        return params !== null;
+      });
+
+      if (!resource) {
+        throw new McpError(ErrorCode.InvalidParams, `未找到资源: ${uri}`);
+      }
+
+      if (!this.policy.isPermissionAllowed('read')) {
+        throw new McpError(ErrorCode.InvalidRequest, '当前实例不允许读取操作（allowRead = false）', {
+          code: ErrorCodes.PERMISSION_DENIED,
+        });
+      }
+
+      try {
+        const content = await runWithRequestContext(
+          this.createRequestContext(extra),
+          () => resource.read(params, url)
+        );
+
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: resource.mimeType,
+              text: JSON.stringify(content, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`读取资源 ${uri} 失败:`, error);
+        throw this.toMcpError(error, `读取资源 ${uri} 失败`);
+      }
+    });
+
+    // 处理提示词列表请求
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      logger.debug('收到提示词列表请求');
+
+      // 隐藏需要被权限策略禁止的工具的提示词
+      return {
+        prompts: Array.from(this.prompts.values())
+          .filter((prompt) => this.evaluatePrompt(prompt).allowed)
+          .map(({ name, title, description, arguments: promptArgs }) => ({
+            name, title, description, arguments: promptArgs,
+          })),
+      };
+    });
+
+    // 处理提示词获取请求
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      logger.info(`收到提示词请求: ${name}`, { args });
+
+      const prompt = this.prompts.get(name);
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `未找到提示词: ${name}`);
+      }
+
+      const { allowed, reason } = this.evaluatePrompt(prompt);
+      if (!allowed) {
+        logger.warn(`拒绝获取被禁止的提示词: ${name}`, { reason });
+        throw new McpError(ErrorCode.InvalidRequest, `提示词 ${name} 不可用: ${reason}`, { code: ErrorCodes.PERMISSION_DENIED });
+      }
+
+      const missing = prompt.arguments
+        .filter((arg) => arg.required && !args[arg.name])
+        .map((arg) => arg.name);
+      if (missing.length > 0) {
+        throw new McpError(ErrorCode.InvalidParams, `提示词 ${name} 缺少必填参数: ${missing.join(', ')}`);
+      }
+
+      return {
+        description: prompt.description,
+        messages: prompt.getMessages(args),
+      };
+    });
+
     // 处理工具调用请求
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
+      const context = this.createRequestContext(extra);
+      const principal = context.principal;
 
-      logger.info(`收到工具调用请求: ${name}`, { args });
+      logger.info(`收到工具调用请求: ${name}`, { args, principal });
 
       // 检查工具是否存在
       const tool = this.tools.get(name);
@@ -120,9 +435,36 @@ class McpShortLinkServer {
         );
       }
 
+      // 检查权限策略
+      const { allowed, reason } = this.policy.evaluate(tool);
+      if (!allowed) {
+        logger.warn(`拒绝调用被禁止的工具: ${name}`, { reason, principal });
+        const permissionError = new PermissionError(`没有调用工具 ${name} 的权限: ${reason}`, {
+          tool: name,
+          permission: tool.permission,
+        });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(ErrorHandler.createMcpErrorResponse(permissionError), null, 2),
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      context.signal?.addEventListener('abort', () => {
+        logger.info(`工具调用已取消: ${name}`, { principal });
+      }, { once: true });
+
       try {
-        // 调用工具处理器
-        const result = await tool.handler(args);
+        // 在当前会话的上下文中调用工具处理器，使上游请求使用该调用方的 API 密钥
+        const result = await runWithRequestContext(
+          context,
+          async () => this.attachRuntimeMeta(await tool.handler(args))
+        );
 
         logger.info(`工具 ${name} 执行成功`, {
           success: result.success,
@@ -168,11 +510,26 @@ class McpShortLinkServer {
       // 检查远程服务连接
       await this.checkRemoteService();
 
-      // 创建传输层
-      const transport = new StdioServerTransport();
+      if (DEFAULT_CONFIG.MCP_TRANSPORT === 'http') {
+        // 通过 Streamable HTTP / SSE 提供服务
+        this.httpTransport = new HttpTransportServer({
+          createServer: () => this.createServerInstance(),
+          host: DEFAULT_CONFIG.MCP_HTTP_HOST,
+          port: DEFAULT_CONFIG.MCP_HTTP_PORT,
+          authenticator: createAuthenticatorFromConfig(),
+          allowedHosts: DEFAULT_CONFIG.MCP_ALLOWED_HOSTS,
+          allowedOrigins: DEFAULT_CONFIG.MCP_ALLOWED_ORIGINS,
+          sessionIdleTtl: DEFAULT_CONFIG.MCP_SESSION_IDLE_TTL,
+          maxSessions: DEFAULT_CONFIG.MCP_MAX_SESSIONS,
+        });
+        await this.httpTransport.start();
+      } else {
+        // 创建传输层
+        const transport = new StdioServerTransport();
 
-      // 连接服务器
-      await this.server.connect(transport);
+        // 连接服务器
+        await this.server.connect(transport);
+      }
 
       logger.info('MCP 服务器启动成功，等待连接...');
 
@@ -212,6 +569,12 @@ class McpShortLinkServer {
       logger.info(`收到 ${signal} 信号，开始关闭服务器...`);
 
       try {
+        // 关闭 HTTP 传输层及其所有会话
+        if (this.httpTransport) {
+          await this.httpTransport.close();
+          logger.info('MCP HTTP 服务已关闭');
+        }
+
         // 关闭 MCP 服务器
         if (this.server) {
           await this.server.close();
@@ -249,7 +612,16 @@ class McpShortLinkServer {
       name: DEFAULT_CONFIG.MCP_SERVER_NAME,
       version: DEFAULT_CONFIG.MCP_SERVER_VERSION,
       tools_count: this.tools.size,
-      tools: Array.from(this.tools.keys()),
+      tools: this.getAllowedTools().map((tool) => tool.name),
+      policy: this.policy.getSummary(),
+      resources: this.resources.map((resource) => resource.uri),
+      resource_templates: this.resourceTemplates.map((template) => template.uriTemplate),
+      prompts: Array.from(this.prompts.keys()),
+      transport: DEFAULT_CONFIG.MCP_TRANSPORT,
+      sessions_count: this.httpTransport ? this.httpTransport.sessions.size : null,
+      rate_limit: defaultShortLinkService.httpClient.getRateLimitState(),
+      circuit_breaker: defaultShortLinkService.httpClient.getCircuitBreakerState(),
+      response_cache: defaultShortLinkService.cache.getStats?.() ?? null,
       config: {
         remote_base_url: DEFAULT_CONFIG.REMOTE_BASE_URL,
         api_version: DEFAULT_CONFIG.API_VERSION,
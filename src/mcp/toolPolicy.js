@@ -0,0 +1,77 @@
+/**
+ * 工具权限策略模块
+ * 根据 MCP 配置中的 permissions 和各工具的 enabled 开关，决定工具是否可见、是否允许调用
+ */
+
+import { DEFAULT_PERMISSIONS } from '../config/mcpConfig.js';
+
+/**
+ * 工具操作类型到权限开关的映射
+ */
+const PERMISSION_FLAGS = {
+  create: 'allowCreate',
+  read: 'allowRead',
+  update: 'allowUpdate',
+  delete: 'allowDelete',
+};
+
+/**
+ * 工具权限策略类
+ */
+class ToolPolicy {
+  /**
+   * @param {Object} config - MCP 配置 { permissions, tools }
+   */
+  constructor(config = {}) {
+    this.permissions = { ...DEFAULT_PERMISSIONS, ...(config.permissions || {}) };
+    this.toolSettings = config.tools || {};
+  }
+
+  /**
+   * 检查某类操作是否被允许
+   * @param {string} permission - 操作类型（create / read / update / delete）
+   * @returns {boolean} 是否允许
+   */
+  isPermissionAllowed(permission) {
+    const flag = PERMISSION_FLAGS[permission];
+    return flag ? this.permissions[flag] !== false : true;
+  }
+
+  /**
+   * 评估工具是否允许使用
+   * @param {Object} tool - 工具定义（包含 name、permission、batch 字段）
+   * @returns {Object} 评估结果 { allowed, reason }
+   */
+  evaluate(tool) {
+    if (this.toolSettings[tool.name]?.enabled === false) {
+      return { allowed: false, reason: `工具 ${tool.name} 已在配置中禁用` };
+    }
+
+    if (!this.isPermissionAllowed(tool.permission)) {
+      return {
+        allowed: false,
+        reason: `当前实例不允许 ${tool.permission} 类操作（${PERMISSION_FLAGS[tool.permission]} = false）`,
+      };
+    }
+
+    if (tool.batch && this.permissions.allowBatchOperations === false) {
+      return { allowed: false, reason: '当前实例不允许批量操作（allowBatchOperations = false）' };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * 获取策略摘要（用于日志和状态展示）
+   * @returns {Object} 策略摘要
+   */
+  getSummary() {
+    return {
+      permissions: { ...this.permissions },
+      disabled_tools: Object.keys(this.toolSettings).filter((name) => this.toolSettings[name].enabled === false),
+    };
+  }
+}
+
+export { ToolPolicy, PERMISSION_FLAGS };
+export default ToolPolicy;
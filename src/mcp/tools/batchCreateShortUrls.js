@@ -5,30 +5,92 @@
 import defaultShortLinkService from '../../services/shortLinkService.js';
 import { ErrorHandler } from '../../utils/errorHandler.js';
 import { getLogger } from '../../config/remoteConfig.js';
+import { urlParamProperties } from './urlParams.js';
 
 const logger = getLogger();
 
 export const batchCreateShortUrlsTool = {
   name: 'batch_create_short_urls',
-  description: '批量创建多个短网址，提高创建效率。最多支持50个URL。',
+  description: '批量创建多个短网址，提高创建效率。条目数量不限（超过服务端单次上限时自动分块并发提交，失败的块会单独重试），每个条目可以是URL字符串，也可以是带标题、描述、自定义代码、过期时间和 UTM / 查询参数的对象；顶层的 utm、query_params 作用于所有条目。校验失败的条目会出现在 failed 中，不影响其他条目。',
+  permission: 'create',
+  batch: true,
   inputSchema: {
     type: 'object',
     properties: {
       urls: {
         type: 'array',
-        description: '要缩短的URL列表',
+        description: '要缩短的条目列表，每项为URL字符串或对象',
         items: {
-          type: 'string',
-          format: 'uri',
+          oneOf: [
+            {
+              type: 'string',
+              format: 'uri',
+            },
+            {
+              type: 'object',
+              properties: {
+                original_url: {
+                  type: 'string',
+                  description: '原始URL',
+                  format: 'uri',
+                },
+                title: {
+                  type: 'string',
+                  description: '标题',
+                  minLength: 1,
+                  maxLength: 200,
+                },
+                description: {
+                  type: 'string',
+                  description: '描述',
+                  maxLength: 500,
+                },
+                custom_code: {
+                  type: 'string',
+                  description: '自定义短代码（3-50个字母或数字）',
+                  pattern: '^[a-zA-Z0-9]{3,50}$',
+                },
+                expire_at: {
+                  type: 'string',
+                  description: '过期时间（ISO 8601格式）',
+                  format: 'date-time',
+                },
+                ...urlParamProperties,
+              },
+              required: ['original_url'],
+            },
+          ],
         },
         minItems: 1,
-        maxItems: 50,
       },
       domain: {
         type: 'string',
         description: '短网址使用的域名',
         pattern: '^[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$',
       },
+      defaults: {
+        type: 'object',
+        description: '批量默认值，条目中未提供对应字段时使用',
+        properties: {
+          title: {
+            type: 'string',
+            description: '默认标题',
+            minLength: 1,
+            maxLength: 200,
+          },
+          description: {
+            type: 'string',
+            description: '默认描述',
+            maxLength: 500,
+          },
+          expire_at: {
+            type: 'string',
+            description: '默认过期时间（ISO 8601格式）',
+            format: 'date-time',
+          },
+        },
+      },
+      ...urlParamProperties,
     },
     required: ['urls', 'domain'],
   },
@@ -49,6 +111,8 @@ export const batchCreateShortUrlsTool = {
             total: args.urls.length,
             success_count: result.success?.length || 0,
             failed_count: result.failed?.length || 0,
+            recovered_count: (result.success || []).filter((link) => link.recovered).length,
+            chunks: result.chunks,
           },
         },
         meta: {
@@ -0,0 +1,114 @@
+/**
+ * MCP 工具：批量删除短网址
+ * 按 ID 列表或过滤条件批量删除短网址，支持试运行，并返回每个 ID 的删除结果
+ */
+
+import defaultShortLinkService from '../../services/shortLinkService.js';
+import { ErrorHandler } from '../../utils/errorHandler.js';
+import { getLogger } from '../../config/remoteConfig.js';
+import { bulkSelectionProperties, formatBulkResult } from './bulkSelection.js';
+
+const logger = getLogger();
+
+/**
+ * MCP 工具定义：批量删除短网址
+ */
+export const bulkDeleteShortUrlsTool = {
+  name: 'bulk_delete_short_urls',
+  description: '批量删除短网址。通过 ids 指定，或通过 filter 按域名、关键词、创建时间范围、停用、过期等条件选择。按 filter 选择时默认只试运行（返回匹配结果），确认后传入 dry_run: false 才会执行；按 ids 选择时直接执行。正式执行会返回每个ID的删除结果。删除操作不可撤销。',
+  permission: 'delete',
+  batch: true,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...bulkSelectionProperties,
+    },
+  },
+
+  /**
+   * 处理工具调用
+   * @param {Object} args - 工具参数
+   * @returns {Promise<Object>} 工具执行结果
+   */
+  handler: async function (args) {
+    logger.info('MCP工具调用: bulk_delete_short_urls', { args });
+
+    return ErrorHandler.asyncWrapper(async () => {
+      const result = await defaultShortLinkService.bulkDeleteShortUrls(args);
+
+      return formatBulkResult(result, 'bulk_delete_short_urls', '删除');
+    })();
+  },
+};
+
+/**
+ * 工具使用示例
+ */
+export const bulkDeleteShortUrlsExamples = [
+  {
+    name: '预览要清理的过期链接',
+    description: '试运行，查看某个域名下所有已过期的短网址',
+    input: {
+      filter: { domain: 'dwz.test', expired: true },
+      dry_run: true,
+    },
+  },
+  {
+    name: '按ID删除',
+    description: '删除指定的多个短网址',
+    input: {
+      ids: [101, 102, 103],
+    },
+  },
+];
+
+/**
+ * 工具帮助信息
+ */
+export const bulkDeleteShortUrlsHelp = {
+  usage: `
+## 批量删除短网址工具使用指南
+
+### 基本语法
+\`\`\`json
+{
+  "filter": { "domain": "dwz.test", "expired": true },
+  "dry_run": true
+}
+\`\`\`
+
+### 选择条件（二选一）
+- **ids**: 短网址ID列表
+- **filter**: 过滤条件，可组合 domain、keyword、created_from、created_to、inactive、expired
+
+### 其他参数
+- **dry_run**: 试运行，只返回匹配结果（按 ids 选择时默认 false，按 filter 选择时默认 true）
+- **max_items**: 按 filter 选择时的数量上限（默认1000）
+
+### 返回信息
+- 试运行：**matched** 匹配到的短网址，**missing_ids** 不存在的ID
+- 正式执行：**results** 每个ID的结果（success / error），**summary** 成功和失败数量
+  `,
+  tips: [
+    '按 filter 删除时默认只试运行，务必向用户确认匹配结果后再传入 dry_run: false 执行',
+    '只想暂停访问时，使用 bulk_update_short_urls 设置 is_active: false，而不是删除',
+    '部分失败时可以根据 results 中失败的ID重新执行',
+  ],
+  troubleshooting: [
+    {
+      problem: '匹配的短链接超过 max_items',
+      solution: '缩小过滤范围（如增加 domain 或创建时间范围），或调大 max_items',
+    },
+    {
+      problem: '没有调用工具的权限',
+      solution: '当前实例禁止删除或批量操作（allowDelete / allowBatchOperations）',
+    },
+  ],
+  relatedTools: [
+    'delete_short_url - 删除单个短网址',
+    'bulk_update_short_urls - 批量更新短网址',
+    'list_short_urls - 查看短网址列表',
+  ],
+};
+
+export default bulkDeleteShortUrlsTool;
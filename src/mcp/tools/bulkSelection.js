@@ -0,0 +1,127 @@
+/**
+ * 批量操作工具的公共定义
+ * bulk_delete_short_urls 与 bulk_update_short_urls 共用的选择条件参数和结果格式化
+ */
+
+/**
+ * 选择条件的输入参数定义（ids 与 filter 二选一）
+ */
+export const bulkSelectionProperties = {
+  ids: {
+    type: 'array',
+    description: '要操作的短网址ID列表（与 filter 二选一）',
+    items: {
+      type: 'integer',
+      minimum: 1,
+    },
+    minItems: 1,
+    examples: [[1, 2, 3]],
+  },
+  filter: {
+    type: 'object',
+    description: '按条件选择短网址（与 ids 二选一），至少提供一个条件，多个条件同时满足',
+    properties: {
+      domain: {
+        type: 'string',
+        description: '域名',
+        pattern: '^[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$',
+      },
+      keyword: {
+        type: 'string',
+        description: '关键词（匹配短代码、原始URL、标题等）',
+        maxLength: 100,
+      },
+      created_from: {
+        type: 'string',
+        description: '创建时间不早于（ISO 8601格式）',
+        format: 'date-time',
+      },
+      created_to: {
+        type: 'string',
+        description: '创建时间不晚于（ISO 8601格式）',
+        format: 'date-time',
+      },
+      inactive: {
+        type: 'boolean',
+        description: 'true 只选已停用的短网址，false 只选激活的短网址',
+      },
+      expired: {
+        type: 'boolean',
+        description: 'true 只选已过期的短网址，false 只选未过期的短网址',
+      },
+    },
+  },
+  max_items: {
+    type: 'integer',
+    description: '按 filter 选择时最多处理的数量，超出时正式执行会被拒绝（默认1000）',
+    minimum: 1,
+    maximum: 10000,
+    default: 1000,
+  },
+  dry_run: {
+    type: 'boolean',
+    description: '试运行：只返回匹配到的短网址，不做任何修改。按 ids 选择时默认 false；按 filter 选择时默认 true，需显式传入 false 才会执行',
+  },
+};
+
+/**
+ * 精简短网址信息，用于试运行时展示匹配结果
+ * @param {Object} link - 短网址信息
+ * @returns {Object} 精简后的信息
+ */
+export function summarizeLink(link) {
+  return {
+    id: link.id,
+    short_url: link.short_url,
+    original_url: link.original_url,
+    title: link.title,
+    domain: link.domain,
+    is_active: link.is_active,
+    expire_at: link.expire_at,
+    created_at: link.created_at,
+  };
+}
+
+/**
+ * 格式化批量操作结果
+ * @param {Object} result - 服务层返回的批量操作结果
+ * @param {string} operation - 操作名称
+ * @param {string} actionLabel - 操作描述（如 删除、更新）
+ * @returns {Object} 工具返回结果
+ */
+export function formatBulkResult(result, operation, actionLabel) {
+  if (result.dry_run) {
+    return {
+      success: true,
+      message: `试运行完成：匹配到 ${result.total_matched} 个短网址${result.truncated ? '（超过 max_items，已截断）' : ''}，未执行${actionLabel}；确认后传入 dry_run: false 执行`,
+      data: {
+        matched: result.matched.map(summarizeLink),
+        missing_ids: result.missing,
+        total_matched: result.total_matched,
+        truncated: result.truncated,
+      },
+      meta: {
+        operation,
+        timestamp: new Date().toISOString(),
+        dry_run: true,
+      },
+    };
+  }
+
+  const { summary } = result;
+  return {
+    success: true,
+    message: summary.failed > 0
+      ? `批量${actionLabel}部分完成：成功 ${summary.succeeded} 个，失败 ${summary.failed} 个`
+      : `批量${actionLabel}完成：共 ${summary.succeeded} 个`,
+    data: {
+      results: result.results,
+      summary,
+    },
+    meta: {
+      operation,
+      timestamp: new Date().toISOString(),
+      dry_run: false,
+    },
+  };
+}
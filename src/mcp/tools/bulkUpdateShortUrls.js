@@ -0,0 +1,149 @@
+/**
+ * MCP 工具：批量更新短网址
+ * 按 ID 列表或过滤条件批量修改短网址的标题、描述、过期时间和激活状态，支持试运行，并返回每个 ID 的更新结果
+ */
+
+import defaultShortLinkService from '../../services/shortLinkService.js';
+import { ErrorHandler } from '../../utils/errorHandler.js';
+import { getLogger } from '../../config/remoteConfig.js';
+import { bulkSelectionProperties, formatBulkResult } from './bulkSelection.js';
+
+const logger = getLogger();
+
+/**
+ * MCP 工具定义：批量更新短网址
+ */
+export const bulkUpdateShortUrlsTool = {
+  name: 'bulk_update_short_urls',
+  description: '批量更新短网址的标题、描述、过期时间或激活状态。通过 ids 指定，或通过 filter 按域名、关键词、创建时间范围、停用、过期等条件选择。按 filter 选择时默认只试运行（返回匹配结果），确认后传入 dry_run: false 才会执行；按 ids 选择时直接执行。正式执行会返回每个ID的更新结果。',
+  permission: 'update',
+  batch: true,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...bulkSelectionProperties,
+      changes: {
+        type: 'object',
+        description: '要应用到每个短网址的修改，至少提供一个字段',
+        properties: {
+          title: {
+            type: 'string',
+            description: '新的标题',
+            minLength: 1,
+            maxLength: 200,
+          },
+          description: {
+            type: 'string',
+            description: '新的描述（传空字符串可清空）',
+            maxLength: 500,
+          },
+          expire_at: {
+            type: ['string', 'null'],
+            description: '新的过期时间（ISO 8601格式，null 表示永不过期）',
+            format: 'date-time',
+          },
+          is_active: {
+            type: 'boolean',
+            description: '是否激活',
+          },
+        },
+      },
+    },
+    required: ['changes'],
+  },
+
+  /**
+   * 处理工具调用
+   * @param {Object} args - 工具参数
+   * @returns {Promise<Object>} 工具执行结果
+   */
+  handler: async function (args) {
+    logger.info('MCP工具调用: bulk_update_short_urls', { args });
+
+    return ErrorHandler.asyncWrapper(async () => {
+      const result = await defaultShortLinkService.bulkUpdateShortUrls(args);
+
+      const formatted = formatBulkResult(result, 'bulk_update_short_urls', '更新');
+      formatted.meta.changed_fields = Object.keys(args.changes || {});
+      return formatted;
+    })();
+  },
+};
+
+/**
+ * 工具使用示例
+ */
+export const bulkUpdateShortUrlsExamples = [
+  {
+    name: '停用活动链接',
+    description: '确认试运行结果后，停用标题包含"双十一"的所有短网址',
+    input: {
+      filter: { keyword: '双十一' },
+      changes: { is_active: false },
+      dry_run: false,
+    },
+  },
+  {
+    name: '统一延长有效期',
+    description: '把指定短网址的过期时间延长到年底',
+    input: {
+      ids: [101, 102, 103],
+      changes: { expire_at: '2025-12-31T23:59:59Z' },
+    },
+  },
+];
+
+/**
+ * 工具帮助信息
+ */
+export const bulkUpdateShortUrlsHelp = {
+  usage: `
+## 批量更新短网址工具使用指南
+
+### 基本语法
+\`\`\`json
+{
+  "filter": { "domain": "dwz.test", "created_to": "2024-12-31T23:59:59Z" },
+  "changes": { "is_active": false },
+  "dry_run": true
+}
+\`\`\`
+
+### 选择条件（二选一）
+- **ids**: 短网址ID列表
+- **filter**: 过滤条件，可组合 domain、keyword、created_from、created_to、inactive、expired
+
+### 修改内容
+- **changes**: title、description、expire_at、is_active 中的一个或多个
+
+### 其他参数
+- **dry_run**: 试运行，只返回匹配结果（按 ids 选择时默认 false，按 filter 选择时默认 true）
+- **max_items**: 按 filter 选择时的数量上限（默认1000）
+
+### 返回信息
+- 试运行：**matched** 匹配到的短网址，**missing_ids** 不存在的ID
+- 正式执行：**results** 每个ID的结果（成功时 data 为更新后的信息），**summary** 成功和失败数量
+  `,
+  tips: [
+    '按 filter 更新时默认只试运行，向用户确认匹配结果后再传入 dry_run: false 执行',
+    '原始URL通常每个短网址都不同，不支持批量修改，请使用 update_short_url',
+    '部分失败时可以根据 results 中失败的ID重新执行',
+  ],
+  troubleshooting: [
+    {
+      problem: 'changes 至少需要一个要更新的字段',
+      solution: '在 changes 中提供 title、description、expire_at 或 is_active',
+    },
+    {
+      problem: '匹配的短链接超过 max_items',
+      solution: '缩小过滤范围，或调大 max_items',
+    },
+  ],
+  relatedTools: [
+    'update_short_url - 更新单个短网址',
+    'bulk_delete_short_urls - 批量删除短网址',
+    'list_short_urls - 查看短网址列表',
+  ],
+};
+
+export default bulkUpdateShortUrlsTool;
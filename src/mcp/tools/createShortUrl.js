@@ -6,6 +6,7 @@
 import defaultShortLinkService from '../../services/shortLinkService.js';
 import { ErrorHandler } from '../../utils/errorHandler.js';
 import { getLogger } from '../../config/remoteConfig.js';
+import { urlParamProperties } from './urlParams.js';
 
 const logger = getLogger();
 
@@ -14,7 +15,8 @@ const logger = getLogger();
  */
 export const createShortUrlTool = {
   name: 'create_short_url',
-  description: '创建一个新的短网址。支持自定义域名、短代码、标题和描述信息。',
+  description: '创建一个新的短网址。支持自定义域名、短代码、标题和描述信息。同一页面可能被重复创建时，使用 if_exists: "reuse" 复用已有的短网址。需要添加 UTM 或其他查询参数时请使用 utm / query_params，由工具负责编码和合并，不要手动拼接。',
+  permission: 'create',
   inputSchema: {
     type: 'object',
     properties: {
@@ -55,6 +57,13 @@ export const createShortUrlTool = {
         format: 'date-time',
         examples: ['2024-12-31T23:59:59Z', '2025-01-01T00:00:00+08:00'],
       },
+      if_exists: {
+        type: 'string',
+        description: '同一域名下已有指向相同原始URL的可用短网址时的处理方式：create 总是新建（默认），reuse 返回已有短网址，error 返回错误',
+        enum: ['create', 'reuse', 'error'],
+        default: 'create',
+      },
+      ...urlParamProperties,
     },
     required: ['original_url', 'domain', 'title'],
   },
@@ -72,9 +81,16 @@ export const createShortUrlTool = {
       const result = await defaultShortLinkService.createShortUrl(args);
 
       // 格式化返回结果
+      let message = '短网址创建成功';
+      if (result.reused) {
+        message = '已存在指向相同地址的短网址，已直接复用';
+      } else if (result.recovered) {
+        message = '短网址创建成功（请求超时或失败后确认链接已创建，未重复创建）';
+      }
+
       return {
         success: true,
-        message: '短网址创建成功',
+        message,
         data: {
           id: result.id,
           short_code: result.short_code,
@@ -88,10 +104,13 @@ export const createShortUrlTool = {
           click_count: result.click_count,
           created_at: result.created_at,
           updated_at: result.updated_at,
+          reused: result.reused === true,
+          recovered: result.recovered === true,
         },
         meta: {
           operation: 'create_short_url',
           timestamp: new Date().toISOString(),
+          if_exists: args.if_exists || 'create',
         },
       };
     })();
@@ -122,6 +141,20 @@ export const createShortUrlExamples = [
       description: '一个开源的GitHub项目',
     },
   },
+  {
+    name: '添加UTM参数',
+    description: '为邮件营销链接添加 UTM 参数',
+    input: {
+      original_url: 'https://example.com/spring-sale?lang=zh',
+      domain: 'dwz.test',
+      title: '春季促销（邮件）',
+      utm: {
+        source: 'newsletter',
+        medium: 'email',
+        campaign: 'spring_sale',
+      },
+    },
+  },
   {
     name: '设置过期时间',
     description: '创建有过期时间的短网址',
@@ -163,6 +196,10 @@ export const createShortUrlHelp = {
 - **custom_code**: 自定义短代码（3-50个字母数字字符）
 - **description**: 描述信息（最多500个字符）
 - **expire_at**: 过期时间（ISO 8601格式）
+- **if_exists**: 已有相同原始URL的短网址时的处理方式（create / reuse / error，默认 create）
+- **utm**: UTM 参数（source、medium、campaign、term、content、id），合并为 utm_* 查询参数
+- **query_params**: 其他查询参数，原URL中的同名参数会被替换
+- **overwrite_utm**: 原URL已有同名 UTM 参数时是否覆盖（默认 false）
 
 ### 使用建议
 1. 确保原始URL是有效的且可以访问
@@ -177,6 +214,9 @@ export const createShortUrlHelp = {
     '标题是必填的，用于标识链接用途',
     '过期时间使用ISO 8601格式，如：2024-12-31T23:59:59Z',
     '创建后可以随时通过其他工具修改链接信息',
+    '不确定是否已为该页面创建过短网址时，使用 if_exists: "reuse"，返回结果中 reused 为 true 表示复用了已有链接',
+    '请求超时或服务端出错后会自动重试，返回结果中 recovered 为 true 表示上一次尝试已经创建成功，直接返回了该链接而没有重复创建',
+    'UTM 参数通过 utm 传入即可，值中的空格、中文和 & 等字符会自动编码，原URL已有的查询参数和 #锚点 会保留',
   ],
   troubleshooting: [
     {
@@ -191,6 +231,10 @@ export const createShortUrlHelp = {
       problem: '创建失败：标题过长',
       solution: '标题长度限制为200个字符，请缩短标题',
     },
+    {
+      problem: '创建失败：URL_POLICY_VIOLATION',
+      solution: '原始URL不符合本实例的目标地址策略（协议、主机名允许/禁止列表、内网地址或长度限制），错误详情中的 rule 指出了具体规则',
+    },
   ],
 };
 
@@ -11,6 +11,7 @@ const logger = getLogger();
 export const deleteShortUrlTool = {
   name: 'delete_short_url',
   description: '删除指定的短网址。删除后无法恢复，请谨慎操作。',
+  permission: 'delete',
   inputSchema: {
     type: 'object',
     properties: {
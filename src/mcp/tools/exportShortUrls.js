@@ -0,0 +1,191 @@
+/**
+ * MCP 工具：导出短网址
+ * 自动翻页获取全部匹配的短网址，按所选列导出为 CSV、JSON 或 JSONL 文件，或直接返回导出内容
+ */
+
+import defaultShortLinkService from '../../services/shortLinkService.js';
+import { ErrorHandler } from '../../utils/errorHandler.js';
+import { getLogger } from '../../config/remoteConfig.js';
+import { EXPORT_COLUMNS } from '../../utils/validation.js';
+import { FILE_FORMATS } from '../../utils/fileFormats.js';
+
+const logger = getLogger();
+
+/**
+ * MCP 工具定义：导出短网址
+ */
+export const exportShortUrlsTool = {
+  name: 'export_short_urls',
+  description: '导出全部匹配的短网址（自动翻页），支持按域名、关键词筛选。可写入本地 CSV、JSON 或 JSONL 文件，未提供 output_path 时直接返回导出内容（默认最多1000行），可选择导出的列。',
+  permission: 'read',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      domain: {
+        type: 'string',
+        description: '按域名筛选（可选）',
+        pattern: '^[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$',
+        examples: ['short.ly'],
+      },
+      keyword: {
+        type: 'string',
+        description: '搜索关键词，搜索URL、标题或描述（可选）',
+        maxLength: 100,
+      },
+      format: {
+        type: 'string',
+        description: '导出格式，默认 csv',
+        enum: FILE_FORMATS,
+        default: 'csv',
+      },
+      columns: {
+        type: 'array',
+        description: '导出的列及顺序（默认全部列）',
+        items: {
+          type: 'string',
+          enum: EXPORT_COLUMNS,
+        },
+        minItems: 1,
+        examples: [['short_url', 'original_url', 'title', 'click_count']],
+      },
+      output_path: {
+        type: 'string',
+        description: '输出文件路径（可选，相对于 MCP_FILE_ROOT 目录，默认为服务进程的工作目录；不能使用绝对路径或离开该目录）。不提供时直接返回导出内容',
+        examples: ['./exports/short-links.csv'],
+      },
+      overwrite: {
+        type: 'boolean',
+        description: '输出文件已存在时是否覆盖（默认 false）',
+        default: false,
+      },
+      fresh: {
+        type: 'boolean',
+        description: '跳过响应缓存，直接从服务端获取最新数据（默认 false）',
+        default: false,
+      },
+      max_rows: {
+        type: 'integer',
+        description: '最多导出的行数（写文件时默认不限，直接返回内容时默认1000）',
+        minimum: 1,
+        maximum: 100000,
+      },
+    },
+    required: [],
+  },
+
+  /**
+   * 处理工具调用
+   * @param {Object} args - 工具参数
+   * @returns {Promise<Object>} 工具执行结果
+   */
+  handler: async function (args = {}) {
+    logger.info('MCP工具调用: export_short_urls', { args });
+
+    return ErrorHandler.asyncWrapper(async () => {
+      const result = await defaultShortLinkService.exportShortUrls(args);
+
+      const target = result.output_path ? `，已写入 ${result.output_path}` : '';
+      const truncatedNote = result.truncated ? '（已达到行数上限，结果被截断）' : '';
+
+      return {
+        success: true,
+        message: `导出完成：共 ${result.row_count} 行${truncatedNote}${target}`,
+        data: {
+          row_count: result.row_count,
+          truncated: result.truncated,
+          format: result.format,
+          columns: result.columns,
+          output_path: result.output_path,
+          bytes: result.bytes,
+          ...(result.content !== undefined && { content: result.content }),
+        },
+        meta: {
+          operation: 'export_short_urls',
+          timestamp: new Date().toISOString(),
+          filters: result.filters,
+        },
+      };
+    })();
+  },
+};
+
+/**
+ * 工具使用示例
+ */
+export const exportShortUrlsExamples = [
+  {
+    name: '导出全部短网址到 CSV',
+    description: '把所有短网址写入 CSV 文件',
+    input: {
+      output_path: './exports/short-links.csv',
+    },
+  },
+  {
+    name: '直接返回某个域名的链接',
+    description: '以 JSONL 格式返回指定域名下短网址的部分列',
+    input: {
+      domain: 'dwz.test',
+      format: 'jsonl',
+      columns: ['short_url', 'original_url', 'click_count'],
+    },
+  },
+];
+
+/**
+ * 工具帮助信息
+ */
+export const exportShortUrlsHelp = {
+  usage: `
+## 导出短网址工具使用指南
+
+### 基本语法
+\`\`\`json
+{
+  "domain": "dwz.test",
+  "format": "csv",
+  "columns": ["short_url", "original_url", "title"],
+  "output_path": "./exports/short-links.csv"
+}
+\`\`\`
+
+### 参数说明
+- **domain**: 按域名筛选（可选）
+- **keyword**: 搜索关键词（可选）
+- **format**: csv（默认）、json 或 jsonl；CSV 中以 =、+、-、@ 开头的单元格会加上 ' 前缀，防止被电子表格当作公式
+- **columns**: 导出的列及顺序，可选 ${EXPORT_COLUMNS.join('、')}
+- **output_path**: 输出文件路径；不提供时直接返回内容
+- **overwrite**: 文件已存在时是否覆盖（默认 false）
+- **max_rows**: 最多导出的行数
+
+### 返回信息
+- **row_count**: 导出的行数
+- **truncated**: 是否因达到行数上限被截断
+- **output_path** / **bytes**: 写入的文件及大小
+- **content**: 未提供 output_path 时返回的导出内容
+  `,
+  tips: [
+    '链接较多时请提供 output_path 写入文件，避免返回内容过长',
+    'CSV 使用 UTF-8 编码，首行为列名',
+    '只需要少量数据时使用 list_short_urls 更直接',
+  ],
+  troubleshooting: [
+    {
+      problem: '输出文件已存在',
+      solution: '更换 output_path，或设置 overwrite: true 覆盖',
+    },
+    {
+      problem: '导出失败：PERMISSION_DENIED',
+      solution: 'output_path 必须是 MCP_FILE_ROOT 下的相对路径；HTTP 模式需要先配置 MCP_FILE_ROOT 才能写入文件，也可以不提供 output_path 直接返回内容',
+    },
+    {
+      problem: '结果被截断',
+      solution: '提供 output_path 写入文件，或调大 max_rows',
+    },
+  ],
+  relatedTools: [
+    'list_short_urls - 分页查看短网址列表',
+    'bulk_update_short_urls - 批量更新短网址',
+  ],
+};
+
+export default exportShortUrlsTool;
@@ -0,0 +1,132 @@
+/**
+ * MCP 工具：查看服务状态
+ * 返回与远程服务交互相关的运行时状态：熔断器、客户端限流、服务端配额和响应缓存，可选择同时检查远程服务是否可用
+ */
+
+import defaultShortLinkService from '../../services/shortLinkService.js';
+import { ErrorHandler } from '../../utils/errorHandler.js';
+import { DEFAULT_CONFIG, getLogger } from '../../config/remoteConfig.js';
+
+const logger = getLogger();
+
+/**
+ * MCP 工具定义：查看服务状态
+ */
+export const getServiceStatusTool = {
+  name: 'get_service_status',
+  description: '查看短网址服务的运行状态，包括熔断器状态（closed / open / half_open 及需要等待的时间）、客户端限流、服务端剩余配额和响应缓存统计。远程服务不可用或调用频繁失败时，可先用此工具判断何时重试。',
+  permission: 'read',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      check_remote: {
+        type: 'boolean',
+        description: '同时请求远程服务检查其是否可用（默认 false，只返回本地记录的状态；熔断器打开时检查会被直接拒绝）',
+        default: false,
+      },
+    },
+    required: [],
+  },
+
+  /**
+   * 处理工具调用
+   * @param {Object} args - 工具参数
+   * @returns {Promise<Object>} 工具执行结果
+   */
+  handler: async function (args = {}) {
+    logger.info('MCP工具调用: get_service_status', { args });
+
+    return ErrorHandler.asyncWrapper(async () => {
+      const { httpClient } = defaultShortLinkService;
+      const remote = args.check_remote ? await defaultShortLinkService.getServiceStatus() : null;
+      const circuitBreaker = httpClient.getCircuitBreakerState();
+
+      const available = circuitBreaker.state !== 'open' && remote?.status !== 'unhealthy';
+      const message = circuitBreaker.state === 'open'
+        ? `远程服务暂时不可用（熔断器已打开），请在 ${Math.ceil(circuitBreaker.retry_after_ms / 1000)} 秒后重试`
+        : `服务状态：${remote ? remote.message : '熔断器未打开，请求可以正常发送'}`;
+
+      return {
+        success: true,
+        message,
+        data: {
+          available,
+          remote_base_url: DEFAULT_CONFIG.REMOTE_BASE_URL,
+          remote,
+          circuit_breaker: circuitBreaker,
+          upstream_rate_limit: httpClient.getUpstreamRateLimit(),
+          response_cache: defaultShortLinkService.cache.getStats?.() ?? null,
+        },
+        meta: {
+          operation: 'get_service_status',
+          timestamp: new Date().toISOString(),
+        },
+      };
+    })();
+  },
+};
+
+/**
+ * 工具使用示例
+ */
+export const getServiceStatusExamples = [
+  {
+    name: '查看熔断器和限流状态',
+    description: '不请求远程服务，只查看本地记录的状态',
+    input: {},
+  },
+  {
+    name: '检查远程服务是否可用',
+    description: '请求远程服务并返回检查结果',
+    input: {
+      check_remote: true,
+    },
+  },
+];
+
+/**
+ * 工具帮助信息
+ */
+export const getServiceStatusHelp = {
+  usage: `
+## 查看服务状态工具使用指南
+
+### 基本语法
+\`\`\`json
+{
+  "check_remote": false
+}
+\`\`\`
+
+### 参数说明
+- **check_remote**: 是否同时请求远程服务检查其是否可用（默认 false）
+
+### 返回信息
+- **available**: 当前是否可以向远程服务发送请求
+- **circuit_breaker**: 熔断器状态
+  - **state**: closed（正常）、open（打开，请求直接失败）、half_open（放行探测请求）
+  - **retry_after_ms**: 熔断器打开时距离下次探测的毫秒数
+  - **consecutive_failures** / **failure_threshold**: 连续失败次数及打开熔断器的阈值
+  - **last_failure**: 最近一次失败的原因
+- **upstream_rate_limit**: 服务端最近返回的配额（limit、remaining、reset_at）
+- **response_cache**: 响应缓存统计
+- **remote**: check_remote 为 true 时的检查结果
+  `,
+  tips: [
+    '工具调用返回 SERVICE_UNAVAILABLE 时，按 circuit_breaker.retry_after_ms 等待后再重试',
+    '熔断器打开期间不需要反复重试，冷却结束后第一次请求会自动探测服务是否恢复',
+    '每个工具结果的 meta.rate_limit 已包含客户端限流状态，这里不再重复',
+  ],
+  troubleshooting: [
+    {
+      problem: '熔断器一直处于 open 状态',
+      solution: '检查 last_failure 中的错误以及 REMOTE_BASE_URL 是否可以访问，远程服务恢复后熔断器会在下一次探测成功时关闭',
+    },
+  ],
+  relatedTools: [
+    'list_domains - 查看可用域名',
+    'list_short_urls - 查看短网址列表',
+  ],
+};
+
+export default getServiceStatusTool;
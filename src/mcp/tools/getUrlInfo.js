@@ -15,6 +15,7 @@ const logger = getLogger();
 export const getUrlInfoTool = {
   name: 'get_url_info',
   description: '根据短网址ID获取详细信息，包括原始URL、点击统计、创建时间等。',
+  permission: 'read',
   inputSchema: {
     type: 'object',
     properties: {
@@ -24,6 +25,11 @@ export const getUrlInfoTool = {
         minimum: 1,
         examples: [1, 123, 456],
       },
+      fresh: {
+        type: 'boolean',
+        description: '跳过响应缓存，直接从服务端获取最新数据（默认 false）',
+        default: false,
+      },
     },
     required: ['id'],
   },
@@ -38,7 +44,7 @@ export const getUrlInfoTool = {
 
     return ErrorHandler.asyncWrapper(async () => {
       // 调用服务层获取短链接信息
-      const result = await defaultShortLinkService.getUrlInfo(args.id);
+      const result = await defaultShortLinkService.getUrlInfo(args.id, { fresh: args.fresh });
 
       // 格式化返回结果
       return {
@@ -103,6 +109,7 @@ export const getUrlInfoHelp = {
 
 ### 参数说明
 - **id**: 短网址的唯一标识ID（必填，正整数）
+- **fresh**: 跳过响应缓存（可选，默认 false）
 
 ### 返回信息
 - **基本信息**: ID、短代码、短网址、原始URL
@@ -123,6 +130,7 @@ export const getUrlInfoHelp = {
     '返回的short_url是完整的短链接地址',
     'click_count表示总点击次数',
     'expire_at为null表示永不过期',
+    '结果会短暂缓存，刚在其他地方修改过链接时可传 fresh: true 获取最新数据',
   ],
   troubleshooting: [
     {
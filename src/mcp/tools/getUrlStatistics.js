@@ -0,0 +1,277 @@
+/**
+ * MCP 工具：获取短网址统计
+ * 为 AI 助手提供短网址点击统计的功能，包括每日点击序列、汇总和趋势分析
+ */
+
+import defaultShortLinkService from '../../services/shortLinkService.js';
+import { ErrorHandler } from '../../utils/errorHandler.js';
+import { getLogger } from '../../config/remoteConfig.js';
+
+const logger = getLogger();
+
+/**
+ * 统计接口允许的最大天数
+ */
+const MAX_STATISTICS_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 将日期转换为 YYYY-MM-DD 格式
+ * @param {string|Date} value - 日期
+ * @returns {string|null} 日期字符串
+ */
+function toDateKey(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * 日期字符串加减天数
+ * @param {string} dateKey - YYYY-MM-DD 格式的日期
+ * @param {number} offset - 偏移天数
+ * @returns {string} 计算后的日期
+ */
+function shiftDateKey(dateKey, offset) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + offset * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 从服务端响应中提取每日点击序列
+ * 兼容 daily_stats / daily / stats / list 等字段名，以及 clicks / click_count / count 等计数字段
+ * @param {Object} result - 统计接口返回的数据
+ * @returns {Array} 按日期升序排列的 { date, clicks } 列表
+ */
+function extractDailySeries(result) {
+  if (!result) return [];
+
+  const rawList = Array.isArray(result)
+    ? result
+    : result.daily_stats || result.daily || result.stats || result.list || [];
+
+  return rawList
+    .map((item) => ({
+      date: toDateKey(item.date || item.day || item.stat_date),
+      clicks: Number(item.clicks ?? item.click_count ?? item.count ?? 0) || 0,
+    }))
+    .filter((item) => item.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 汇总点击序列
+ * @param {Array} series - 每日点击序列
+ * @param {string} endDate - 窗口结束日期（包含）
+ * @param {number} days - 窗口天数
+ * @returns {Object} 汇总结果
+ */
+function summarizeWindow(series, endDate, days) {
+  const startDate = shiftDateKey(endDate, -(days - 1));
+  const windowSeries = series.filter((item) => item.date >= startDate && item.date <= endDate);
+
+  const total = windowSeries.reduce((sum, item) => sum + item.clicks, 0);
+  const peak = windowSeries.reduce(
+    (best, item) => (!best || item.clicks > best.clicks ? item : best),
+    null
+  );
+
+  return {
+    start_date: startDate,
+    end_date: endDate,
+    days,
+    total_clicks: total,
+    // 没有数据的日期按 0 次点击计算
+    daily_average: Number((total / days).toFixed(2)),
+    peak_day: peak && peak.clicks > 0 ? peak : null,
+    active_days: windowSeries.filter((item) => item.clicks > 0).length,
+    series: windowSeries,
+  };
+}
+
+/**
+ * 计算当前窗口相对上一窗口的趋势
+ * @param {Object} current - 当前窗口汇总
+ * @param {Object} previous - 上一窗口汇总
+ * @returns {Object} 趋势信息
+ */
+function calculateTrend(current, previous) {
+  const change = current.total_clicks - previous.total_clicks;
+  const changePercent = previous.total_clicks > 0
+    ? Number(((change / previous.total_clicks) * 100).toFixed(2))
+    : null;
+
+  let direction = 'flat';
+  if (change > 0) direction = 'up';
+  if (change < 0) direction = 'down';
+
+  return {
+    direction,
+    change,
+    change_percent: changePercent,
+    previous_window: {
+      start_date: previous.start_date,
+      end_date: previous.end_date,
+      total_clicks: previous.total_clicks,
+      daily_average: previous.daily_average,
+    },
+  };
+}
+
+/**
+ * MCP 工具定义：获取短网址统计
+ */
+export const getUrlStatisticsTool = {
+  name: 'get_url_statistics',
+  description: '获取短网址的点击统计，返回每日点击序列、总点击数、峰值日期、日均点击数以及与上一周期相比的趋势。',
+  permission: 'read',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'integer',
+        description: '短网址的唯一标识ID',
+        minimum: 1,
+        examples: [1, 123],
+      },
+      days: {
+        type: 'integer',
+        description: '统计最近多少天的数据，默认7天，最大365天',
+        minimum: 1,
+        maximum: MAX_STATISTICS_DAYS,
+        default: 7,
+        examples: [7, 30, 90],
+      },
+    },
+    required: ['id'],
+  },
+
+  /**
+   * 处理工具调用
+   * @param {Object} args - 工具参数
+   * @returns {Promise<Object>} 工具执行结果
+   */
+  handler: async function (args) {
+    logger.info('MCP工具调用: get_url_statistics', { args });
+
+    return ErrorHandler.asyncWrapper(async () => {
+      const days = args.days || 7;
+
+      // 多拉取一个周期的数据用于计算趋势，超出接口上限时不计算趋势
+      const includeTrend = days * 2 <= MAX_STATISTICS_DAYS;
+      const fetchedDays = includeTrend ? days * 2 : days;
+      const result = await defaultShortLinkService.getUrlStatistics({
+        id: args.id,
+        days: fetchedDays,
+      });
+
+      const series = extractDailySeries(result);
+      const today = new Date().toISOString().slice(0, 10);
+      const lastDate = series.length > 0 ? series[series.length - 1].date : today;
+      const endDate = lastDate > today ? lastDate : today;
+
+      const current = summarizeWindow(series, endDate, days);
+      const trend = includeTrend
+        ? calculateTrend(current, summarizeWindow(series, shiftDateKey(endDate, -days), days))
+        : null;
+
+      // 格式化返回结果
+      return {
+        success: true,
+        message: '获取短网址统计成功',
+        data: {
+          id: args.id,
+          series: current.series,
+          // 服务端返回的全部每日数据，计算趋势时包含上一周期
+          raw_series: series,
+          summary: {
+            start_date: current.start_date,
+            end_date: current.end_date,
+            days: current.days,
+            total_clicks: current.total_clicks,
+            daily_average: current.daily_average,
+            peak_day: current.peak_day,
+            active_days: current.active_days,
+            // 服务端给出的总数只覆盖本次拉取的 fetched_days 天，不是历史总点击数
+            clicks_in_fetched_window: result?.total_clicks ?? null,
+          },
+          trend,
+        },
+        meta: {
+          operation: 'get_url_statistics',
+          timestamp: new Date().toISOString(),
+          trend_available: includeTrend,
+          fetched_days: fetchedDays,
+        },
+      };
+    })();
+  },
+};
+
+/**
+ * 工具使用示例
+ */
+export const getUrlStatisticsExamples = [
+  {
+    name: '最近一周',
+    description: '获取最近7天的点击统计',
+    input: {
+      id: 123,
+    },
+  },
+  {
+    name: '最近一个月',
+    description: '获取最近30天的点击统计，并与前30天对比',
+    input: {
+      id: 123,
+      days: 30,
+    },
+  },
+];
+
+/**
+ * 工具帮助信息
+ */
+export const getUrlStatisticsHelp = {
+  usage: `
+## 获取短网址统计工具使用指南
+
+### 基本语法
+\`\`\`json
+{
+  "id": 123,
+  "days": 30
+}
+\`\`\`
+
+### 参数说明
+- **id**: 短网址的唯一标识ID（必填）
+- **days**: 统计天数（可选，默认7，最大365）
+
+### 返回信息
+- **series**: 统计窗口内每天的点击数
+- **raw_series**: 服务端返回的全部每日点击数（计算趋势时包含上一周期，共 meta.fetched_days 天）
+- **summary**: 总点击数、日均点击数、峰值日期、有点击的天数；clicks_in_fetched_window 为服务端给出的拉取范围内的总点击数
+- **trend**: 与上一个相同长度周期的对比（up / down / flat 及变化百分比）
+  `,
+  tips: [
+    '日均点击数按统计天数计算，没有数据的日期按0次点击计算',
+    'days 超过182天时无法获取上一周期数据，trend 为 null',
+    '上一周期没有点击时 change_percent 为 null',
+  ],
+  troubleshooting: [
+    {
+      problem: '获取失败：ID不存在',
+      solution: '确认短网址ID是否正确，可以通过列表工具查看所有可用的ID',
+    },
+  ],
+  relatedTools: [
+    'get_url_info - 获取短网址基本信息',
+    'list_short_urls - 查看短网址列表',
+  ],
+};
+
+export default getUrlStatisticsTool;
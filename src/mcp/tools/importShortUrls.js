@@ -0,0 +1,218 @@
+/**
+ * MCP 工具：导入短网址
+ * 从本地 CSV、JSON 或 JSONL 文件读取链接表，按列映射逐行校验后批量创建短网址，并把每行的结果写入结果文件
+ */
+
+import defaultShortLinkService from '../../services/shortLinkService.js';
+import { ErrorHandler } from '../../utils/errorHandler.js';
+import { getLogger } from '../../config/remoteConfig.js';
+import { IMPORT_FIELDS } from '../../utils/validation.js';
+import { FILE_FORMATS } from '../../utils/fileFormats.js';
+
+const logger = getLogger();
+
+/**
+ * 返回结果中最多列出的失败行数（完整结果见结果文件）
+ */
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * MCP 工具定义：导入短网址
+ */
+export const importShortUrlsTool = {
+  name: 'import_short_urls',
+  description: '从本地 CSV、JSON 或 JSONL 文件导入短网址。通过 mapping 指定文件列与 original_url、title、description、custom_code、expire_at、domain 的对应关系，每行按创建短网址的规则校验，校验通过的行批量创建，并把每行的短网址或错误写入结果文件。可先用 dry_run: true 只做校验。',
+  permission: 'create',
+  batch: true,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      input_path: {
+        type: 'string',
+        description: '输入文件路径（相对于 MCP_FILE_ROOT 目录，默认为服务进程的工作目录；不能使用绝对路径或离开该目录）',
+        examples: ['./links.csv'],
+      },
+      format: {
+        type: 'string',
+        description: '输入文件格式，默认按扩展名识别',
+        enum: FILE_FORMATS,
+      },
+      mapping: {
+        type: 'object',
+        description: '字段到文件列名的映射，未映射的字段使用同名列',
+        properties: Object.fromEntries(
+          IMPORT_FIELDS.map((field) => [field, { type: 'string', description: `${field} 对应的列名` }])
+        ),
+        examples: [{ original_url: '落地页', title: '名称', custom_code: '短码' }],
+      },
+      domain: {
+        type: 'string',
+        description: '默认域名，用于没有 domain 列或该列为空的行',
+        pattern: '^[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$',
+        examples: ['dwz.test'],
+      },
+      defaults: {
+        type: 'object',
+        description: '行中未提供时使用的默认值',
+        properties: {
+          title: {
+            type: 'string',
+            description: '默认标题',
+            maxLength: 200,
+          },
+          description: {
+            type: 'string',
+            description: '默认描述',
+            maxLength: 500,
+          },
+          expire_at: {
+            type: 'string',
+            description: '默认过期时间（ISO 8601格式）',
+            format: 'date-time',
+          },
+        },
+      },
+      result_path: {
+        type: 'string',
+        description: '结果文件路径（相对于 MCP_FILE_ROOT 目录），默认为输入文件同目录下的 <文件名>.result.<格式>',
+      },
+      overwrite: {
+        type: 'boolean',
+        description: '结果文件已存在时是否覆盖（默认 false）',
+        default: false,
+      },
+      dry_run: {
+        type: 'boolean',
+        description: '试运行：只校验并写入校验结果，不创建短网址（默认 false）',
+        default: false,
+      },
+    },
+    required: ['input_path'],
+  },
+
+  /**
+   * 处理工具调用
+   * @param {Object} args - 工具参数
+   * @returns {Promise<Object>} 工具执行结果
+   */
+  handler: async function (args) {
+    logger.info('MCP工具调用: import_short_urls', { args });
+
+    return ErrorHandler.asyncWrapper(async () => {
+      const result = await defaultShortLinkService.importShortUrls(args);
+      const { summary } = result;
+
+      const message = result.dry_run
+        ? `试运行完成：共 ${summary.total} 行，校验通过 ${summary.valid} 行，校验失败 ${summary.invalid} 行`
+        : `导入完成：共 ${summary.total} 行，创建 ${summary.created} 个，创建失败 ${summary.failed} 行，校验失败 ${summary.invalid} 行`;
+
+      const errors = result.results.filter((row) => row.error);
+
+      return {
+        success: true,
+        message: `${message}，结果已写入 ${result.result_path}`,
+        data: {
+          summary,
+          result_path: result.result_path,
+          errors: errors.slice(0, MAX_REPORTED_ERRORS).map(({ row, original_url: originalUrl, error }) => ({
+            row,
+            original_url: originalUrl,
+            error,
+          })),
+          errors_truncated: errors.length > MAX_REPORTED_ERRORS,
+        },
+        meta: {
+          operation: 'import_short_urls',
+          timestamp: new Date().toISOString(),
+          input_path: result.input_path,
+          format: result.format,
+          dry_run: result.dry_run,
+        },
+      };
+    })();
+  },
+};
+
+/**
+ * 工具使用示例
+ */
+export const importShortUrlsExamples = [
+  {
+    name: '导入市场部链接表',
+    description: '从中文列名的 CSV 导入，统一使用一个域名',
+    input: {
+      input_path: './campaign-links.csv',
+      domain: 'dwz.test',
+      mapping: {
+        original_url: '落地页',
+        title: '名称',
+        custom_code: '短码',
+      },
+    },
+  },
+  {
+    name: '先校验再导入',
+    description: '只校验 JSON 文件中的每一行',
+    input: {
+      input_path: './links.json',
+      dry_run: true,
+    },
+  },
+];
+
+/**
+ * 工具帮助信息
+ */
+export const importShortUrlsHelp = {
+  usage: `
+## 导入短网址工具使用指南
+
+### 基本语法
+\`\`\`json
+{
+  "input_path": "./links.csv",
+  "domain": "dwz.test",
+  "mapping": { "original_url": "url", "title": "name" }
+}
+\`\`\`
+
+### 参数说明
+- **input_path**: 输入文件（CSV 首行为列名，导出时为防止公式执行加的 ' 前缀会被去掉；JSON 为对象数组；JSONL 每行一个对象）
+- **format**: csv、json 或 jsonl，默认按扩展名识别
+- **mapping**: 字段到列名的映射，可映射 ${IMPORT_FIELDS.join('、')}，未映射的字段使用同名列
+- **domain**: 默认域名，行中没有域名时使用
+- **defaults**: 默认的 title、description、expire_at
+- **result_path**: 结果文件路径（默认 <文件名>.result.<格式>）
+- **overwrite**: 结果文件已存在时是否覆盖
+- **dry_run**: 只校验不创建
+
+### 结果文件
+每行一条记录，包含 row（数据行序号，从1开始）、status（created / failed / invalid，试运行时为 valid）、original_url、domain、short_url、id、error
+  `,
+  tips: [
+    '每行按 create_short_url 的规则校验，标题为必填，可用 defaults.title 为缺少标题的行补充',
+    '大文件建议先试运行，确认没有校验失败的行再正式导入',
+    '重新导入失败的行时，可以把结果文件中 status 为 failed 的行整理成新文件',
+  ],
+  troubleshooting: [
+    {
+      problem: '结果文件已存在',
+      solution: '更换 result_path，或设置 overwrite: true 覆盖',
+    },
+    {
+      problem: '导入失败：PERMISSION_DENIED',
+      solution: 'input_path 和 result_path 必须是 MCP_FILE_ROOT 下的相对路径；HTTP 模式需要先配置 MCP_FILE_ROOT 才能读写文件',
+    },
+    {
+      problem: '大量行提示 original_url 或 title 是必填参数',
+      solution: '检查 mapping 中的列名是否与文件首行完全一致',
+    },
+  ],
+  relatedTools: [
+    'batch_create_short_urls - 直接传入条目批量创建',
+    'export_short_urls - 导出短网址',
+    'list_domains - 查看可用域名',
+  ],
+};
+
+export default importShortUrlsTool;
@@ -15,9 +15,16 @@ const logger = getLogger();
 export const listDomainsTool = {
   name: 'list_domains',
   description: '获取所有可用的域名列表，包括域名配置信息和状态。',
+  permission: 'read',
   inputSchema: {
     type: 'object',
-    properties: {},
+    properties: {
+      fresh: {
+        type: 'boolean',
+        description: '跳过响应缓存，直接从服务端获取最新数据（默认 false）',
+        default: false,
+      },
+    },
     required: [],
   },
 
@@ -26,12 +33,12 @@ export const listDomainsTool = {
    * @param {Object} args - 工具参数
    * @returns {Promise<Object>} 工具执行结果
    */
-  handler: async function (args) {
+  handler: async function (args = {}) {
     logger.info('MCP工具调用: list_domains', { args });
 
     return ErrorHandler.asyncWrapper(async () => {
       // 调用服务层获取域名列表
-      const result = await defaultShortLinkService.listDomains();
+      const result = await defaultShortLinkService.listDomains({ fresh: args.fresh });
 
       // 格式化返回结果
       return {
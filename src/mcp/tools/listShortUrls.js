@@ -15,6 +15,7 @@ const logger = getLogger();
 export const listShortUrlsTool = {
   name: 'list_short_urls',
   description: '列出用户的短网址列表，支持分页、域名筛选和关键词搜索。',
+  permission: 'read',
   inputSchema: {
     type: 'object',
     properties: {
@@ -45,6 +46,11 @@ export const listShortUrlsTool = {
         maxLength: 100,
         examples: ['产品', '活动', 'github.com'],
       },
+      fresh: {
+        type: 'boolean',
+        description: '跳过响应缓存，直接从服务端获取最新数据（默认 false）',
+        default: false,
+      },
     },
     required: [],
   },
@@ -0,0 +1,60 @@
+/**
+ * MCP 工具：解析短网址
+ * 为 AI 助手提供根据短代码或完整短网址查询目标链接的功能
+ */
+
+import defaultShortLinkService from '../../services/shortLinkService.js';
+import { ErrorHandler } from '../../utils/errorHandler.js';
+import { getLogger } from '../../config/remoteConfig.js';
+
+const logger = getLogger();
+
+/**
+ * MCP 工具定义：解析短网址
+ */
+export const resolveShortUrlTool = {
+  name: 'resolve_short_url',
+  description: '解析短网址，查询它指向的原始链接。支持纯短代码（如 abc123）或完整短网址（如 https://dwz.test/abc123），返回原始URL、标题、激活和过期状态，以及能查到时的短网址ID。',
+  permission: 'read',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      short_url: {
+        type: 'string',
+        description: '短代码或完整短网址',
+        minLength: 1,
+        examples: ['abc123', 'https://dwz.test/abc123', 'dwz.test/abc123'],
+      },
+    },
+    required: ['short_url'],
+  },
+
+  /**
+   * 处理工具调用
+   * @param {Object} args - 工具参数
+   * @returns {Promise<Object>} 工具执行结果
+   */
+  handler: async function (args) {
+    logger.info('MCP工具调用: resolve_short_url', { args });
+
+    return ErrorHandler.asyncWrapper(async () => {
+      // 调用服务层解析短链接
+      const result = await defaultShortLinkService.resolveShortUrl(args.short_url);
+
+      // 格式化返回结果
+      return {
+        success: true,
+        message: '解析短网址成功',
+        data: result,
+        meta: {
+          operation: 'resolve_short_url',
+          timestamp: new Date().toISOString(),
+          input: args.short_url,
+          id_resolved: result.id !== null,
+        },
+      };
+    })();
+  },
+};
+
+export default resolveShortUrlTool;
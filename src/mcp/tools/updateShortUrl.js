@@ -0,0 +1,248 @@
+/**
+ * MCP 工具：更新短网址
+ * 为 AI 助手提供修改短网址信息的功能，并返回修改前后的字段差异
+ */
+
+import defaultShortLinkService from '../../services/shortLinkService.js';
+import { ErrorHandler } from '../../utils/errorHandler.js';
+import { getLogger } from '../../config/remoteConfig.js';
+
+const logger = getLogger();
+
+/**
+ * 允许更新的字段
+ */
+const UPDATABLE_FIELDS = ['original_url', 'title', 'description', 'expire_at', 'is_active'];
+
+/**
+ * 标准化字段值，便于比较
+ * @param {any} value - 字段值
+ * @returns {any} 标准化后的值
+ */
+function normalizeFieldValue(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+}
+
+/**
+ * 计算修改前后的字段差异
+ * @param {Object} before - 修改前的短网址信息
+ * @param {Object} after - 修改后的短网址信息
+ * @param {Array} fields - 本次请求更新的字段
+ * @returns {Object} 字段差异，格式为 { field: { before, after } }
+ */
+function buildChangeDiff(before, after, fields) {
+  const changes = {};
+
+  for (const field of fields) {
+    const oldValue = normalizeFieldValue(before?.[field]);
+    const newValue = normalizeFieldValue(after?.[field]);
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = {
+        before: oldValue,
+        after: newValue,
+      };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * MCP 工具定义：更新短网址
+ */
+export const updateShortUrlTool = {
+  name: 'update_short_url',
+  description: '更新指定短网址的信息。支持部分更新原始URL、标题、描述、过期时间和激活状态，并返回修改前后的差异。',
+  permission: 'update',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'integer',
+        description: '要更新的短网址ID',
+        minimum: 1,
+        examples: [1, 123],
+      },
+      original_url: {
+        type: 'string',
+        description: '新的原始URL地址（可选）',
+        format: 'uri',
+        examples: ['https://www.example.com/new/path'],
+      },
+      title: {
+        type: 'string',
+        description: '新的标题（可选）',
+        minLength: 1,
+        maxLength: 200,
+        examples: ['产品官网（新版）'],
+      },
+      description: {
+        type: 'string',
+        description: '新的描述信息（可选，传空字符串可清空描述）',
+        maxLength: 500,
+      },
+      expire_at: {
+        type: ['string', 'null'],
+        description: '新的过期时间（可选，ISO 8601格式，传 null 表示永不过期）',
+        format: 'date-time',
+        examples: ['2025-12-31T23:59:59Z'],
+      },
+      is_active: {
+        type: 'boolean',
+        description: '是否激活（可选，false 表示停用该短网址）',
+      },
+    },
+    required: ['id'],
+  },
+
+  /**
+   * 处理工具调用
+   * @param {Object} args - 工具参数
+   * @returns {Promise<Object>} 工具执行结果
+   */
+  handler: async function (args) {
+    logger.info('MCP工具调用: update_short_url', { args });
+
+    return ErrorHandler.asyncWrapper(async () => {
+      const requestedFields = UPDATABLE_FIELDS.filter((field) => args[field] !== undefined);
+
+      // 获取修改前的信息，用于生成差异
+      const before = await defaultShortLinkService.getUrlInfo(args.id, { fresh: true });
+
+      // 调用服务层更新短链接
+      const result = await defaultShortLinkService.updateShortUrl(args);
+
+      // 部分服务端版本更新后不返回完整数据，此时以请求参数补全
+      const after = { ...before, ...result };
+      for (const field of requestedFields) {
+        if (result?.[field] === undefined) {
+          after[field] = args[field];
+        }
+      }
+
+      const changes = buildChangeDiff(before, after, requestedFields);
+
+      // 格式化返回结果
+      return {
+        success: true,
+        message: Object.keys(changes).length > 0 ? '短网址更新成功' : '短网址更新成功，字段值未发生变化',
+        data: {
+          id: after.id,
+          short_code: after.short_code,
+          short_url: after.short_url,
+          original_url: after.original_url,
+          title: after.title,
+          description: after.description,
+          domain: after.domain,
+          expire_at: after.expire_at,
+          is_active: after.is_active,
+          click_count: after.click_count,
+          created_at: after.created_at,
+          updated_at: after.updated_at,
+        },
+        changes,
+        meta: {
+          operation: 'update_short_url',
+          timestamp: new Date().toISOString(),
+          requested_fields: requestedFields,
+          changed_fields: Object.keys(changes),
+        },
+      };
+    })();
+  },
+};
+
+/**
+ * 工具使用示例
+ */
+export const updateShortUrlExamples = [
+  {
+    name: '修正原始链接',
+    description: '修正短网址指向的原始URL',
+    input: {
+      id: 123,
+      original_url: 'https://www.example.com/products/new-laptop',
+    },
+  },
+  {
+    name: '修改标题和过期时间',
+    description: '同时修改标题和过期时间',
+    input: {
+      id: 123,
+      title: '2025年促销活动',
+      expire_at: '2025-12-31T23:59:59Z',
+    },
+  },
+  {
+    name: '停用短网址',
+    description: '临时停用短网址而不删除',
+    input: {
+      id: 123,
+      is_active: false,
+    },
+  },
+];
+
+/**
+ * 工具帮助信息
+ */
+export const updateShortUrlHelp = {
+  usage: `
+## 更新短网址工具使用指南
+
+### 基本语法
+\`\`\`json
+{
+  "id": 123,
+  "title": "新的标题",
+  "expire_at": "2025-12-31T23:59:59Z"
+}
+\`\`\`
+
+### 必填参数
+- **id**: 要更新的短网址ID
+
+### 可选参数（至少提供一个）
+- **original_url**: 新的原始URL
+- **title**: 新的标题（1-200个字符）
+- **description**: 新的描述（最多500个字符）
+- **expire_at**: 新的过期时间（ISO 8601格式，null 表示永不过期）
+- **is_active**: 是否激活
+
+### 返回信息
+- **data**: 更新后的短网址信息
+- **changes**: 实际发生变化的字段，格式为 \`{ "字段": { "before": 旧值, "after": 新值 } }\`
+  `,
+  tips: [
+    '只需要提供要修改的字段，未提供的字段保持不变',
+    '可以根据 changes 向用户说明具体修改了哪些内容',
+    '停用短网址建议使用 is_active: false，而不是删除',
+  ],
+  troubleshooting: [
+    {
+      problem: '更新失败：至少需要提供一个要更新的字段',
+      solution: '除 id 外，至少提供一个要修改的字段',
+    },
+    {
+      problem: '更新失败：ID不存在',
+      solution: '确认短网址ID是否正确，可以通过列表工具查看所有可用的ID',
+    },
+    {
+      problem: '更新失败：URL_POLICY_VIOLATION',
+      solution: '新的原始URL不符合本实例的目标地址策略，错误详情中的 rule 指出了具体规则',
+    },
+  ],
+  relatedTools: [
+    'get_url_info - 查看短网址当前信息',
+    'list_short_urls - 查看短网址列表',
+  ],
+};
+
+export default updateShortUrlTool;
@@ -0,0 +1,37 @@
+/**
+ * 原始 URL 参数的公共定义
+ * create_short_url 与 batch_create_short_urls 共用的 UTM 和查询参数输入
+ */
+
+/**
+ * UTM、查询参数和覆盖选项的输入参数定义
+ */
+export const urlParamProperties = {
+  utm: {
+    type: 'object',
+    description: 'UTM 参数，会编码后以 utm_* 查询参数合并到原始URL中，原URL的查询参数和锚点保持不变',
+    properties: {
+      source: { type: 'string', description: 'utm_source，流量来源', maxLength: 200 },
+      medium: { type: 'string', description: 'utm_medium，媒介', maxLength: 200 },
+      campaign: { type: 'string', description: 'utm_campaign，活动名称', maxLength: 200 },
+      term: { type: 'string', description: 'utm_term，关键词', maxLength: 200 },
+      content: { type: 'string', description: 'utm_content，内容标识', maxLength: 200 },
+      id: { type: 'string', description: 'utm_id，活动ID', maxLength: 200 },
+    },
+    additionalProperties: false,
+    examples: [{ source: 'newsletter', medium: 'email', campaign: 'spring_sale' }],
+  },
+  query_params: {
+    type: 'object',
+    description: '其他要合并到原始URL中的查询参数，会自动编码，原URL中的同名参数会被替换',
+    additionalProperties: {
+      type: ['string', 'number', 'boolean'],
+    },
+    examples: [{ ref: 'partner', lang: 'zh' }],
+  },
+  overwrite_utm: {
+    type: 'boolean',
+    description: '原始URL中已有同名 UTM 参数时是否用 utm 中的值覆盖（默认 false，保留原值）',
+    default: false,
+  },
+};
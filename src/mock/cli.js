@@ -0,0 +1,119 @@
+/**
+ * 模拟服务端命令行模块
+ * 解析 `dwz-mcp mock-server` 子命令的参数并启动模拟 dwz-server
+ */
+
+import fs from 'node:fs';
+
+import { DEFAULT_CONFIG } from '../config/remoteConfig.js';
+import MockDwzServer from './mockServer.js';
+import MockStore from './mockStore.js';
+import FaultInjector from './faultInjector.js';
+
+/**
+ * 命令行参数定义
+ */
+const MOCK_CLI_OPTIONS = {
+  '--host': { key: 'host', parse: (value) => value },
+  '--port': { key: 'port', parse: (value) => parseInt(value, 10) },
+  '--data': { key: 'dataFile', parse: (value) => value },
+  '--api-key': { key: 'apiKey', parse: (value) => value },
+  '--latency': { key: 'latencyMs', parse: (value) => parseInt(value, 10) },
+  '--error-rate': { key: 'errorRate', parse: (value) => parseFloat(value) },
+  '--error-status': { key: 'errorStatus', parse: (value) => parseInt(value, 10) },
+  '--faults': { key: 'faultsFile', parse: (value) => value },
+};
+
+const USAGE = `
+用法: dwz-mcp mock-server [选项]
+
+选项:
+  --host <host>           监听地址（默认 127.0.0.1）
+  --port <port>           监听端口（默认 8080）
+  --data <file>           JSON 数据文件，不指定时数据只保存在内存中
+  --api-key <key>         要求的 API 密钥，不指定时接受任意 Bearer Token
+  --latency <ms>          为每个请求增加的延迟
+  --error-rate <0-1>      随机返回错误的概率
+  --error-status <code>   随机错误使用的状态码（默认 500）
+  --faults <file>         故障配置 JSON 文件（格式同 PUT /__mock/faults）
+  --help                  显示帮助
+`;
+
+/**
+ * 解析命令行参数
+ * @param {Array} argv - mock-server 之后的命令行参数
+ * @returns {Object} 解析后的选项
+ */
+function parseMockCliArgs(argv = []) {
+  const options = {
+    host: '127.0.0.1',
+    port: 8080,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') {
+      options.help = true;
+      continue;
+    }
+
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const option = MOCK_CLI_OPTIONS[flag];
+    if (!option) {
+      throw new Error(`未知的命令行参数: ${flag}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      throw new Error(`命令行参数 ${flag} 缺少取值`);
+    }
+
+    options[option.key] = option.parse(value);
+  }
+
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new Error('--port 不是有效的端口号');
+  }
+
+  return options;
+}
+
+/**
+ * 运行 mock-server 子命令
+ * @param {Array} argv - mock-server 之后的命令行参数
+ * @returns {Promise<MockDwzServer|null>} 启动的模拟服务端，显示帮助时返回 null
+ */
+async function runMockServerCli(argv = []) {
+  const options = parseMockCliArgs(argv);
+
+  if (options.help) {
+    console.log(USAGE);
+    return null;
+  }
+
+  const faultConfig = options.faultsFile
+    ? JSON.parse(fs.readFileSync(options.faultsFile, 'utf8'))
+    : {};
+  if (options.latencyMs !== undefined) faultConfig.latency_ms = options.latencyMs;
+  if (options.errorRate !== undefined) faultConfig.error_rate = options.errorRate;
+  if (options.errorStatus !== undefined) faultConfig.error_status = options.errorStatus;
+
+  const server = new MockDwzServer({
+    host: options.host,
+    port: options.port,
+    apiVersion: DEFAULT_CONFIG.API_VERSION,
+    apiKey: options.apiKey || '',
+    store: new MockStore({ filePath: options.dataFile || null }),
+    faults: new FaultInjector(faultConfig),
+  });
+
+  await server.start();
+
+  console.log(`🧪 模拟 dwz-server 已启动: http://${server.host}:${server.port}`);
+  console.log(`   数据存储: ${options.dataFile || '内存'}`);
+  console.log(`   故障注入: ${JSON.stringify(server.faults.getConfig())}`);
+  console.log(`   使用方式: REMOTE_BASE_URL=http://${server.host}:${server.port} REMOTE_API_KEY=${options.apiKey || 'any'} dwz-mcp\n`);
+
+  return server;
+}
+
+export { runMockServerCli, parseMockCliArgs, MOCK_CLI_OPTIONS };
@@ -0,0 +1,130 @@
+/**
+ * 模拟服务端故障注入模块
+ * 按规则为请求注入延迟和错误响应（401、404、409、429、5xx 等），用于离线验证客户端的错误处理
+ */
+
+/**
+ * 常见注入状态码的默认错误信息
+ */
+const DEFAULT_MESSAGES = {
+  401: '认证失败：API 密钥无效',
+  403: '没有访问权限',
+  404: '资源不存在',
+  409: '资源已存在',
+  429: '请求过于频繁',
+  500: '服务器内部错误',
+  502: '网关错误',
+  503: '服务暂时不可用',
+  504: '网关超时',
+};
+
+/**
+ * 故障注入器类
+ *
+ * 配置格式：
+ * {
+ *   latency_ms: 200,          // 所有请求的固定延迟
+ *   error_rate: 0.1,          // 随机错误概率（0-1）
+ *   error_status: 500,        // 随机错误使用的状态码
+ *   rules: [                  // 定向规则，按顺序匹配第一条
+ *     { method: 'POST', path: '/short_links/batch', status: 429, times: 2, retry_after: 1, latency_ms: 0 }
+ *   ]
+ * }
+ */
+class FaultInjector {
+  /**
+   * @param {Object} config - 故障配置
+   */
+  constructor(config = {}) {
+    this.configure(config);
+  }
+
+  /**
+   * 替换故障配置
+   * @param {Object} config - 故障配置
+   */
+  configure(config = {}) {
+    this.latencyMs = Number(config.latency_ms) || 0;
+    this.errorRate = Math.min(Math.max(Number(config.error_rate) || 0, 0), 1);
+    this.errorStatus = Number(config.error_status) || 500;
+    this.rules = (config.rules || []).map((rule) => ({
+      method: rule.method ? String(rule.method).toUpperCase() : null,
+      path: rule.path || null,
+      status: rule.status ? Number(rule.status) : null,
+      message: rule.message || null,
+      // 剩余触发次数，null 表示不限
+      times: rule.times === undefined || rule.times === null ? null : Number(rule.times),
+      retry_after: rule.retry_after ?? null,
+      latency_ms: Number(rule.latency_ms) || 0,
+    }));
+  }
+
+  /**
+   * 清空所有故障配置
+   */
+  clear() {
+    this.configure({});
+  }
+
+  /**
+   * 获取当前故障配置
+   * @returns {Object} 故障配置
+   */
+  getConfig() {
+    return {
+      latency_ms: this.latencyMs,
+      error_rate: this.errorRate,
+      error_status: this.errorStatus,
+      rules: this.rules.map((rule) => ({ ...rule })),
+    };
+  }
+
+  /**
+   * 为请求计算要注入的故障
+   * @param {string} method - HTTP 方法
+   * @param {string} path - 请求路径
+   * @returns {Object} { latencyMs, error: { status, message, retryAfter } | null }
+   */
+  evaluate(method, path) {
+    const rule = this.rules.find((item) => (item.times === null || item.times > 0)
+      && (!item.method || item.method === method)
+      && (!item.path || path.includes(item.path)));
+
+    let latencyMs = this.latencyMs;
+    let error = null;
+
+    if (rule) {
+      if (rule.times !== null) {
+        rule.times -= 1;
+      }
+      latencyMs += rule.latency_ms;
+      if (rule.status) {
+        error = this.buildError(rule.status, rule.message, rule.retry_after);
+      }
+    }
+
+    if (!error && this.errorRate > 0 && Math.random() < this.errorRate) {
+      error = this.buildError(this.errorStatus);
+    }
+
+    return { latencyMs, error };
+  }
+
+  /**
+   * 构建注入的错误
+   * @param {number} status - HTTP 状态码
+   * @param {string} message - 错误信息（可选）
+   * @param {number} retryAfter - 429 响应的 Retry-After 秒数（可选）
+   * @returns {Object} 错误描述
+   */
+  buildError(status, message = null, retryAfter = null) {
+    return {
+      status,
+      message: message || DEFAULT_MESSAGES[status] || `模拟错误 ${status}`,
+      retryAfter: status === 429 ? (retryAfter ?? 1) : retryAfter,
+    };
+  }
+}
+
+export { FaultInjector };
+export default FaultInjector;
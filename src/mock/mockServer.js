@@ -0,0 +1,347 @@
+/**
+ * 模拟 dwz-server 模块
+ * 实现 ShortLinkService 使用的全部接口，响应格式与真实服务端一致（{ code, message, data }），用于离线开发和调试
+ */
+
+import http from 'node:http';
+
+import { getLogger } from '../config/remoteConfig.js';
+import MockStore, { MockStoreError } from './mockStore.js';
+import FaultInjector from './faultInjector.js';
+
+const logger = getLogger();
+
+/**
+ * 控制接口路径前缀（不经过认证和故障注入）
+ */
+const CONTROL_PREFIX = '/__mock';
+
+/**
+ * 请求体大小上限（字节）
+ */
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param {http.IncomingMessage} req - HTTP 请求
+ * @returns {Promise<Object>} 解析后的请求体，没有请求体时返回空对象
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new MockStoreError(413, '请求体过大'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (chunks.length === 0) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new MockStoreError(400, '请求体不是有效的 JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 发送统一格式的 JSON 响应
+ * @param {http.ServerResponse} res - HTTP 响应
+ * @param {number} status - HTTP 状态码
+ * @param {Object} body - 响应体
+ * @param {Object} headers - 额外的响应头
+ */
+function sendJson(res, status, body, headers = {}) {
+  if (res.headersSent) return;
+
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 发送成功响应
+ * @param {http.ServerResponse} res - HTTP 响应
+ * @param {any} data - 响应数据
+ */
+function sendSuccess(res, data) {
+  sendJson(res, 200, { code: 0, message: 'success', data });
+}
+
+/**
+ * 发送错误响应（业务码与 HTTP 状态码一致）
+ * @param {http.ServerResponse} res - HTTP 响应
+ * @param {number} status - HTTP 状态码
+ * @param {string} message - 错误信息
+ * @param {Object} headers - 额外的响应头
+ */
+function sendError(res, status, message, headers = {}) {
+  sendJson(res, status, { code: status, message, data: null }, headers);
+}
+
+/**
+ * 延迟函数
+ * @param {number} ms - 延迟毫秒数
+ * @returns {Promise} Promise 对象
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * 模拟服务端类
+ */
+class MockDwzServer {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.host - 监听地址
+   * @param {number} options.port - 监听端口
+   * @param {string} options.apiVersion - API 版本（路径 /api/{version}）
+   * @param {string} options.apiKey - 要求的 API 密钥，为空时接受任意 Bearer Token
+   * @param {MockStore} options.store - 数据存储
+   * @param {FaultInjector} options.faults - 故障注入器
+   */
+  constructor({
+    host = '127.0.0.1',
+    port = 8080,
+    apiVersion = 'v1',
+    apiKey = '',
+    store = new MockStore(),
+    faults = new FaultInjector(),
+  } = {}) {
+    this.host = host;
+    this.port = port;
+    this.apiPrefix = `/api/${apiVersion}`;
+    this.apiKey = apiKey;
+    this.store = store;
+    this.faults = faults;
+    this.httpServer = null;
+  }
+
+  /**
+   * 启动 HTTP 服务器
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        if (error instanceof MockStoreError) {
+          sendError(res, error.status, error.message);
+          return;
+        }
+        logger.error('模拟服务端处理请求失败:', error);
+        sendError(res, 500, '服务器内部错误');
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        this.port = this.httpServer.address().port;
+        logger.info(`模拟 dwz-server 已启动: http://${this.host}:${this.port}${this.apiPrefix}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 关闭 HTTP 服务器
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+
+  /**
+   * 路由 HTTP 请求
+   * @param {http.IncomingMessage} req - HTTP 请求
+   * @param {http.ServerResponse} res - HTTP 响应
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const method = req.method.toUpperCase();
+
+    logger.debug(`模拟服务端收到请求: ${method} ${url.pathname}${url.search}`);
+
+    if (url.pathname.startsWith(CONTROL_PREFIX)) {
+      return this.handleControlRequest(req, res, method, url.pathname.slice(CONTROL_PREFIX.length));
+    }
+
+    // 短链接跳转（记录点击，便于生成统计数据）
+    if (method === 'GET' && !url.pathname.startsWith(this.apiPrefix)) {
+      const code = url.pathname.slice(1);
+      if (code && !code.includes('/')) {
+        return this.handleRedirect(res, code);
+      }
+    }
+
+    // 先开始读取请求体：客户端在注入的延迟期间超时断开时，请求仍会被处理，与真实服务端一致
+    const bodyPromise = ['POST', 'PUT', 'PATCH'].includes(method) ? readJsonBody(req) : Promise.resolve({});
+    bodyPromise.catch(() => {});
+
+    const { latencyMs, error } = this.faults.evaluate(method, url.pathname);
+    if (latencyMs > 0) {
+      await delay(latencyMs);
+    }
+    if (error) {
+      logger.debug(`注入错误 ${error.status}: ${method} ${url.pathname}`);
+      const headers = error.retryAfter !== null ? { 'Retry-After': String(error.retryAfter) } : {};
+      sendError(res, error.status, error.message, headers);
+      return undefined;
+    }
+
+    if (!this.isAuthorized(req)) {
+      sendError(res, 401, '认证失败：缺少或无效的 API 密钥', { 'WWW-Authenticate': 'Bearer' });
+      return undefined;
+    }
+
+    if (!url.pathname.startsWith(this.apiPrefix)) {
+      sendError(res, 404, `接口不存在: ${url.pathname}`);
+      return undefined;
+    }
+
+    const body = await bodyPromise;
+    return this.handleApiRequest(res, method, url.pathname.slice(this.apiPrefix.length), url.searchParams, body);
+  }
+
+  /**
+   * 检查 API 密钥
+   * @param {http.IncomingMessage} req - HTTP 请求
+   * @returns {boolean} 是否通过认证
+   */
+  isAuthorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      return false;
+    }
+    return !this.apiKey || match[1] === this.apiKey;
+  }
+
+  /**
+   * 处理 API 请求
+   * @param {http.ServerResponse} res - HTTP 响应
+   * @param {string} method - HTTP 方法
+   * @param {string} path - 去掉 API 前缀后的路径
+   * @param {URLSearchParams} query - 查询参数
+   * @param {Object} body - 请求体
+   */
+  handleApiRequest(res, method, path, query, body) {
+    const segments = path.split('/').filter(Boolean);
+    const [resource, idOrAction, action] = segments;
+
+    if (resource === 'domains' && segments.length === 1 && method === 'GET') {
+      return sendSuccess(res, { list: this.store.domains });
+    }
+
+    if (resource === 'preview' && segments.length === 2 && method === 'GET') {
+      return sendSuccess(res, this.store.toResponse(this.store.getByCode(decodeURIComponent(idOrAction))));
+    }
+
+    if (resource === 'short_links') {
+      if (segments.length === 1 && method === 'GET') {
+        return sendSuccess(res, this.store.list({
+          page: parseInt(query.get('page') || '1', 10),
+          page_size: parseInt(query.get('page_size') || '10', 10),
+          domain: query.get('domain') || undefined,
+          keyword: query.get('keyword') || undefined,
+        }));
+      }
+      if (segments.length === 1 && method === 'POST') {
+        return sendSuccess(res, this.store.create(body));
+      }
+      if (idOrAction === 'batch' && segments.length === 2 && method === 'POST') {
+        return sendSuccess(res, this.store.batchCreate(body));
+      }
+
+      const id = Number(idOrAction);
+      if (Number.isInteger(id)) {
+        if (segments.length === 2 && method === 'GET') {
+          return sendSuccess(res, this.store.toResponse(this.store.get(id)));
+        }
+        if (segments.length === 2 && method === 'PUT') {
+          return sendSuccess(res, this.store.update(id, body));
+        }
+        if (segments.length === 2 && method === 'DELETE') {
+          this.store.remove(id);
+          return sendSuccess(res, { id });
+        }
+        if (action === 'statistics' && segments.length === 3 && method === 'GET') {
+          return sendSuccess(res, this.store.statistics(id, parseInt(query.get('days') || '7', 10)));
+        }
+      }
+    }
+
+    return sendError(res, 404, `接口不存在: ${method} ${path}`);
+  }
+
+  /**
+   * 处理短链接跳转
+   * @param {http.ServerResponse} res - HTTP 响应
+   * @param {string} code - 短代码
+   */
+  handleRedirect(res, code) {
+    const link = this.store.getByCode(decodeURIComponent(code));
+    if (!link.is_active || (link.expire_at && new Date(link.expire_at).getTime() < Date.now())) {
+      sendError(res, 410, '短链接已停用或已过期');
+      return;
+    }
+
+    this.store.recordClick(link);
+    res.writeHead(302, { Location: link.original_url });
+    res.end();
+  }
+
+  /**
+   * 处理控制接口请求
+   * - GET    /__mock/faults  查看故障配置
+   * - PUT    /__mock/faults  替换故障配置
+   * - DELETE /__mock/faults  清空故障配置
+   * - POST   /__mock/reset   重置数据
+   * @param {http.IncomingMessage} req - HTTP 请求
+   * @param {http.ServerResponse} res - HTTP 响应
+   * @param {string} method - HTTP 方法
+   * @param {string} path - 去掉控制前缀后的路径
+   */
+  async handleControlRequest(req, res, method, path) {
+    if (path === '/faults') {
+      if (method === 'PUT') {
+        this.faults.configure(await readJsonBody(req));
+        logger.info('故障配置已更新', this.faults.getConfig());
+      } else if (method === 'DELETE') {
+        this.faults.clear();
+        logger.info('故障配置已清空');
+      } else if (method !== 'GET') {
+        return sendError(res, 405, `不支持的请求方法: ${method}`);
+      }
+      return sendSuccess(res, this.faults.getConfig());
+    }
+
+    if (path === '/reset' && method === 'POST') {
+      this.store.reset();
+      this.store.save();
+      logger.info('模拟数据已重置');
+      return sendSuccess(res, { links: 0, domains: this.store.domains.length });
+    }
+
+    return sendError(res, 404, `控制接口不存在: ${method} ${CONTROL_PREFIX}${path}`);
+  }
+}
+
+export { MockDwzServer, CONTROL_PREFIX };
+export default MockDwzServer;
@@ -0,0 +1,319 @@
+/**
+ * 模拟服务端数据存储模块
+ * 在内存中保存域名和短链接数据，指定文件路径时每次写操作后持久化为 JSON 文件
+ */
+
+import fs from 'node:fs';
+import { randomBytes } from 'node:crypto';
+
+/**
+ * 初始域名数据
+ */
+const SEED_DOMAINS = [
+  { domain: 'dwz.test', protocol: 'https', is_active: true, description: '默认测试域名' },
+  { domain: 's.example.com', protocol: 'https', is_active: true, description: '示例域名' },
+  { domain: 'old.example.com', protocol: 'http', is_active: false, description: '已停用的域名' },
+];
+
+/**
+ * 允许更新的短链接字段
+ */
+const UPDATABLE_FIELDS = ['original_url', 'title', 'description', 'expire_at', 'is_active'];
+
+/**
+ * 生成随机短代码
+ * @param {number} length - 长度
+ * @returns {string} 短代码
+ */
+function generateCode(length = 6) {
+  const alphabet = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = randomBytes(length);
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += alphabet[bytes[i] % alphabet.length];
+  }
+  return code;
+}
+
+/**
+ * 模拟数据存储错误（携带 HTTP 状态码）
+ */
+class MockStoreError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MockStoreError';
+    this.status = status;
+  }
+}
+
+/**
+ * 模拟数据存储类
+ */
+class MockStore {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.filePath - JSON 数据文件路径（可选，不提供时仅保存在内存中）
+   */
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.reset();
+
+    if (filePath && fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.domains = saved.domains || this.domains;
+      this.links = saved.links || [];
+      this.nextId = saved.next_id || this.links.reduce((max, link) => Math.max(max, link.id), 0) + 1;
+    }
+  }
+
+  /**
+   * 重置为初始数据
+   */
+  reset() {
+    const now = new Date().toISOString();
+    this.domains = SEED_DOMAINS.map((domain, index) => ({ id: index + 1, ...domain, created_at: now }));
+    this.links = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * 持久化到数据文件
+   */
+  save() {
+    if (!this.filePath) return;
+
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      domains: this.domains,
+      links: this.links,
+      next_id: this.nextId,
+    }, null, 2));
+  }
+
+  /**
+   * 转换为接口返回格式（去掉内部的点击明细）
+   * @param {Object} link - 内部存储的短链接
+   * @returns {Object} 接口返回的短链接
+   */
+  toResponse(link) {
+    const response = { ...link };
+    delete response.clicks;
+    return response;
+  }
+
+  /**
+   * 查找可用域名
+   * @param {string} name - 域名
+   * @returns {Object} 域名记录
+   * @throws {MockStoreError} 域名不存在或已停用
+   */
+  requireActiveDomain(name) {
+    const domain = this.domains.find((item) => item.domain === name);
+    if (!domain) {
+      throw new MockStoreError(400, `域名不存在: ${name}`);
+    }
+    if (!domain.is_active) {
+      throw new MockStoreError(400, `域名已停用: ${name}`);
+    }
+    return domain;
+  }
+
+  /**
+   * 列出短链接
+   * @param {Object} query - 查询条件 { page, page_size, domain, keyword }
+   * @returns {Object} { list, total, page, size }
+   */
+  list({ page = 1, page_size: pageSize = 10, domain, keyword } = {}) {
+    const needle = keyword ? keyword.toLowerCase() : null;
+    const matched = this.links
+      .filter((link) => !domain || link.domain === domain)
+      .filter((link) => !needle || [link.short_code, link.original_url, link.title, link.description]
+        .some((value) => value && value.toLowerCase().includes(needle)))
+      .sort((a, b) => b.id - a.id);
+
+    const start = (page - 1) * pageSize;
+    return {
+      list: matched.slice(start, start + pageSize).map((link) => this.toResponse(link)),
+      total: matched.length,
+      page,
+      size: pageSize,
+    };
+  }
+
+  /**
+   * 获取短链接
+   * @param {number} id - 短链接 ID
+   * @returns {Object} 短链接
+   * @throws {MockStoreError} 短链接不存在
+   */
+  get(id) {
+    const link = this.links.find((item) => item.id === id);
+    if (!link) {
+      throw new MockStoreError(404, `短链接不存在: ${id}`);
+    }
+    return link;
+  }
+
+  /**
+   * 根据短代码查找短链接
+   * @param {string} code - 短代码
+   * @returns {Object} 短链接
+   * @throws {MockStoreError} 短链接不存在
+   */
+  getByCode(code) {
+    const link = this.links.find((item) => item.short_code === code);
+    if (!link) {
+      throw new MockStoreError(404, `短链接不存在: ${code}`);
+    }
+    return link;
+  }
+
+  /**
+   * 创建短链接
+   * @param {Object} params - 创建参数
+   * @returns {Object} 创建的短链接
+   * @throws {MockStoreError} 参数错误、域名不可用或短代码已存在
+   */
+  create(params = {}) {
+    const link = this.buildLink(params);
+    this.links.push(link);
+    this.save();
+    return this.toResponse(link);
+  }
+
+  /**
+   * 校验参数并构建短链接记录（不写入存储）
+   * @param {Object} params - 创建参数
+   * @returns {Object} 短链接记录
+   */
+  buildLink(params) {
+    if (!params.original_url) {
+      throw new MockStoreError(400, 'original_url 是必填参数');
+    }
+    if (!params.domain) {
+      throw new MockStoreError(400, 'domain 是必填参数');
+    }
+
+    const domain = this.requireActiveDomain(params.domain);
+
+    let code = params.custom_code;
+    if (code) {
+      if (this.links.some((item) => item.domain === domain.domain && item.short_code === code)) {
+        throw new MockStoreError(409, `短代码已存在: ${code}`);
+      }
+    } else {
+      do {
+        code = generateCode();
+      } while (this.links.some((item) => item.domain === domain.domain && item.short_code === code));
+    }
+
+    const now = new Date().toISOString();
+    return {
+      id: this.nextId++,
+      short_code: code,
+      short_url: `${domain.protocol}://${domain.domain}/${code}`,
+      original_url: params.original_url,
+      title: params.title || '',
+      description: params.description || '',
+      domain: domain.domain,
+      expire_at: params.expire_at || null,
+      is_active: true,
+      click_count: 0,
+      created_at: now,
+      updated_at: now,
+      clicks: {},
+    };
+  }
+
+  /**
+   * 批量创建短链接
+   * @param {Object} params - { urls, items, domain }，提供 items 时使用每个条目的完整信息
+   * @returns {Object} { success, failed }
+   */
+  batchCreate({ urls = [], items = null, domain } = {}) {
+    const success = [];
+    const failed = [];
+    const entries = Array.isArray(items) ? items : urls.map((url) => ({ original_url: url }));
+
+    for (const entry of entries) {
+      try {
+        const link = this.buildLink({ ...entry, domain });
+        this.links.push(link);
+        success.push(this.toResponse(link));
+      } catch (error) {
+        failed.push({ url: entry.original_url, error: error.message });
+      }
+    }
+
+    this.save();
+    return { success, failed };
+  }
+
+  /**
+   * 更新短链接
+   * @param {number} id - 短链接 ID
+   * @param {Object} params - 更新参数
+   * @returns {Object} 更新后的短链接
+   */
+  update(id, params = {}) {
+    const link = this.get(id);
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (params[field] !== undefined) {
+        link[field] = params[field];
+      }
+    }
+    link.updated_at = new Date().toISOString();
+
+    this.save();
+    return this.toResponse(link);
+  }
+
+  /**
+   * 删除短链接
+   * @param {number} id - 短链接 ID
+   */
+  remove(id) {
+    const link = this.get(id);
+    this.links = this.links.filter((item) => item !== link);
+    this.save();
+  }
+
+  /**
+   * 记录一次点击
+   * @param {Object} link - 短链接
+   */
+  recordClick(link) {
+    const dateKey = new Date().toISOString().slice(0, 10);
+    link.clicks[dateKey] = (link.clicks[dateKey] || 0) + 1;
+    link.click_count += 1;
+    this.save();
+  }
+
+  /**
+   * 获取点击统计
+   * @param {number} id - 短链接 ID
+   * @param {number} days - 统计天数
+   * @returns {Object} { id, days, total_clicks, daily_stats }
+   */
+  statistics(id, days = 7) {
+    const link = this.get(id);
+    const dayMs = 24 * 60 * 60 * 1000;
+    const today = Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+
+    const dailyStats = [];
+    for (let offset = days - 1; offset >= 0; offset--) {
+      const date = new Date(today - offset * dayMs).toISOString().slice(0, 10);
+      dailyStats.push({ date, clicks: link.clicks[date] || 0 });
+    }
+
+    return {
+      id: link.id,
+      days,
+      total_clicks: link.click_count,
+      daily_stats: dailyStats,
+    };
+  }
+}
+
+export { MockStore, MockStoreError, SEED_DOMAINS };
+export default MockStore;
@@ -0,0 +1,214 @@
+/**
+ * 熔断器模块
+ * 远程服务连续失败达到阈值后打开熔断器，冷却期内的请求立即失败，不再等待超时和重试；
+ * 冷却期结束后进入半开状态，放行少量探测请求，探测成功则关闭熔断器，失败则重新打开
+ */
+
+import { CircuitOpenError } from '../utils/errorHandler.js';
+import { getLogger } from '../config/remoteConfig.js';
+
+const logger = getLogger();
+
+/**
+ * 熔断器状态
+ */
+const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+/**
+ * 半开状态下探测名额已满时，提示调用方等待的时间（毫秒）
+ */
+const HALF_OPEN_RETRY_AFTER_MS = 1000;
+
+/**
+ * 熔断器类
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - 熔断配置
+   * @param {boolean} options.enabled - 是否启用
+   * @param {number} options.failureThreshold - 打开熔断器所需的连续失败次数
+   * @param {number} options.cooldownMs - 打开后的冷却时间（毫秒），之后进入半开状态
+   * @param {number} options.halfOpenMaxCalls - 半开状态下同时放行的探测请求数
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.openedCount = 0;
+    this.rejectedCount = 0;
+    this.lastFailure = null;
+  }
+
+  /**
+   * 请求发出前检查熔断器
+   * @returns {boolean} 该请求是否为半开状态下的探测请求（需要原样传给 recordSuccess / recordFailure / release）
+   * @throws {CircuitOpenError} 熔断器打开或探测名额已满
+   */
+  acquire() {
+    if (!this.enabled) {
+      return false;
+    }
+
+    if (this.state === CircuitState.OPEN) {
+      const retryAfterMs = this.openedAt + this.cooldownMs - Date.now();
+      if (retryAfterMs > 0) {
+        this.reject(retryAfterMs);
+      }
+      this.transition(CircuitState.HALF_OPEN);
+    }
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        this.reject(HALF_OPEN_RETRY_AFTER_MS);
+      }
+      this.halfOpenCalls += 1;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 拒绝请求
+   * @param {number} retryAfterMs - 建议等待的时间（毫秒）
+   * @throws {CircuitOpenError} 总是抛出
+   */
+  reject(retryAfterMs) {
+    this.rejectedCount += 1;
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    throw new CircuitOpenError(`远程服务暂时不可用（熔断器已打开），请在 ${seconds} 秒后重试`, {
+      circuit_state: this.state,
+      retry_after_ms: retryAfterMs,
+      retry_after_seconds: seconds,
+      last_failure: this.lastFailure,
+    });
+  }
+
+  /**
+   * 记录成功的请求（远程服务有响应，包括 4xx）
+   * @param {boolean} probe - 是否为探测请求
+   */
+  recordSuccess(probe = false) {
+    if (!this.enabled) return;
+
+    if (probe) {
+      this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+      if (this.state === CircuitState.HALF_OPEN) {
+        this.transition(CircuitState.CLOSED);
+      }
+      return;
+    }
+
+    if (this.state === CircuitState.CLOSED) {
+      this.consecutiveFailures = 0;
+    }
+  }
+
+  /**
+   * 记录失败的请求（网络错误、超时或 5xx）
+   * @param {Error} error - 错误对象
+   * @param {boolean} probe - 是否为探测请求
+   */
+  recordFailure(error, probe = false) {
+    if (!this.enabled) return;
+
+    this.lastFailure = {
+      message: error?.message || '未知错误',
+      status: error?.response?.status ?? null,
+      at: new Date().toISOString(),
+    };
+
+    if (probe) {
+      this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+      if (this.state === CircuitState.HALF_OPEN) {
+        this.transition(CircuitState.OPEN);
+      }
+      return;
+    }
+
+    if (this.state === CircuitState.CLOSED) {
+      this.consecutiveFailures += 1;
+      if (this.consecutiveFailures >= this.failureThreshold) {
+        this.transition(CircuitState.OPEN);
+      }
+    }
+  }
+
+  /**
+   * 释放探测名额（请求没有到达远程服务，例如被取消或被客户端限流拒绝）
+   * @param {boolean} probe - 是否为探测请求
+   */
+  release(probe = false) {
+    if (probe) {
+      this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+    }
+  }
+
+  /**
+   * 切换状态
+   * @param {string} state - 新状态
+   */
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+
+    if (state === CircuitState.OPEN) {
+      this.openedAt = Date.now();
+      this.openedCount += 1;
+      this.halfOpenCalls = 0;
+      logger.warn(`熔断器已打开：远程服务连续失败，${this.cooldownMs}ms 内的请求将直接失败`, {
+        previous,
+        consecutive_failures: this.consecutiveFailures,
+        last_failure: this.lastFailure,
+      });
+    } else if (state === CircuitState.HALF_OPEN) {
+      logger.info('熔断器进入半开状态，放行探测请求');
+    } else {
+      this.consecutiveFailures = 0;
+      this.openedAt = null;
+      this.halfOpenCalls = 0;
+      logger.info('熔断器已关闭：远程服务已恢复');
+    }
+  }
+
+  /**
+   * 获取熔断器状态（用于状态工具和服务器状态）
+   * @returns {Object} 熔断器状态
+   */
+  getState() {
+    if (!this.enabled) {
+      return { enabled: false };
+    }
+
+    const retryAfterMs = this.state === CircuitState.OPEN
+      ? Math.max(0, this.openedAt + this.cooldownMs - Date.now())
+      : 0;
+
+    return {
+      enabled: true,
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      cooldown_ms: this.cooldownMs,
+      half_open_max_calls: this.halfOpenMaxCalls,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_after_ms: retryAfterMs,
+      opened_count: this.openedCount,
+      rejected_count: this.rejectedCount,
+      last_failure: this.lastFailure,
+    };
+  }
+}
+
+export { CircuitBreaker, CircuitState };
+export default CircuitBreaker;
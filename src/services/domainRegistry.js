@@ -0,0 +1,159 @@
+/**
+ * 域名注册表模块
+ * 按凭据作用域缓存域名列表，在请求发送前校验域名是否存在且可用，并为拼写错误给出最接近的可用域名
+ */
+
+import { getRequestContext, runWithRequestContext } from '../utils/requestContext.js';
+import { CancelledError } from '../utils/errorHandler.js';
+
+/**
+ * 等待 promise 完成，signal 中止时立即以 CancelledError 结束（promise 本身不受影响）
+ * @param {Promise} promise - 要等待的 promise
+ * @param {AbortSignal|null} signal - 取消信号
+ * @returns {Promise} promise 的结果
+ */
+function raceSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(new CancelledError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new CancelledError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * 计算两个字符串的编辑距离（Levenshtein）
+ * @param {string} a - 字符串 a
+ * @param {string} b - 字符串 b
+ * @returns {number} 编辑距离
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * 域名注册表类
+ */
+class DomainRegistry {
+  /**
+   * @param {Object} options - 选项
+   * @param {Function} options.loader - 加载域名列表的函数 () => Promise<Array>
+   * @param {number} options.ttl - 缓存有效期（毫秒）
+   */
+  constructor({ loader, ttl = 300000 }) {
+    this.loader = loader;
+    this.ttl = ttl;
+    // scope -> { loadedAt, domains: Map<小写域名, 域名信息> }
+    this.entries = new Map();
+    // scope -> 正在进行的加载，避免并发请求重复加载
+    this.pending = new Map();
+  }
+
+  /**
+   * 获取某个作用域下的域名表，缓存过期时重新加载
+   * 加载由并发调用方共享，因此不带任何调用方的取消信号；各调用方只取消自己的等待
+   * @param {string} scope - 凭据作用域
+   * @returns {Promise<Map>} 小写域名 -> 域名信息
+   */
+  async getDomains(scope) {
+    const entry = this.entries.get(scope);
+    if (entry && Date.now() - entry.loadedAt < this.ttl) {
+      return entry.domains;
+    }
+
+    if (!this.pending.has(scope)) {
+      const context = getRequestContext();
+      const load = () => this.loader();
+      const loading = (context ? runWithRequestContext({ ...context, signal: null }, load) : load())
+        .then((list) => {
+          const domains = new Map();
+          for (const item of list || []) {
+            if (item?.domain) {
+              domains.set(item.domain.toLowerCase(), item);
+            }
+          }
+          this.entries.set(scope, { loadedAt: Date.now(), domains });
+          return domains;
+        })
+        .finally(() => this.pending.delete(scope));
+      this.pending.set(scope, loading);
+    }
+
+    return raceSignal(this.pending.get(scope), getRequestContext()?.signal);
+  }
+
+  /**
+   * 查找域名
+   * @param {string} scope - 凭据作用域
+   * @param {string} domain - 域名
+   * @returns {Promise<Object>} { domain: 域名信息或 null, suggestion: 最接近的可用域名或 null, available: 可用域名列表 }
+   */
+  async lookup(scope, domain) {
+    const domains = await this.getDomains(scope);
+    const name = String(domain).toLowerCase();
+    const available = Array.from(domains.values())
+      .filter((item) => item.is_active !== false)
+      .map((item) => item.domain);
+
+    return {
+      domain: domains.get(name) || null,
+      suggestion: this.suggest(name, available),
+      available,
+    };
+  }
+
+  /**
+   * 找出编辑距离最近的可用域名，距离过大时视为没有相近的域名
+   * @param {string} name - 输入的域名（小写）
+   * @param {Array<string>} candidates - 可用域名
+   * @returns {string|null} 建议的域名
+   */
+  suggest(name, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+      const distance = editDistance(name, candidate.toLowerCase());
+      if (distance > 0 && distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return best && bestDistance <= Math.max(2, Math.floor(name.length / 3)) ? best : null;
+  }
+
+  /**
+   * 使缓存失效
+   * @param {string} scope - 凭据作用域（可选，不提供时清空全部）
+   */
+  invalidate(scope) {
+    if (scope === undefined) {
+      this.entries.clear();
+    } else {
+      this.entries.delete(scope);
+    }
+  }
+}
+
+export { DomainRegistry, editDistance };
+export default DomainRegistry;
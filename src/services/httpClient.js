@@ -4,10 +4,26 @@
  */
 
 import axios from 'axios';
-import { DEFAULT_CONFIG, getRequestConfig, getLogger } from '../config/remoteConfig.js';
+import { DEFAULT_CONFIG, getRequestConfig, getHeaders, getLogger } from '../config/remoteConfig.js';
+import { getMcpConfig } from '../config/mcpConfig.js';
+import { RateLimitError, CancelledError, CircuitOpenError } from '../utils/errorHandler.js';
+import { getRequestContext, getCredentialScope } from '../utils/requestContext.js';
+import { TokenBucketRateLimiter } from './rateLimiter.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { OutboundTransport } from './outboundAgent.js';
 
 const logger = getLogger();
 
+/**
+ * 未指定 requestId 的请求使用的自增编号
+ */
+let requestSequence = 0;
+
+/**
+ * 幂等键请求头
+ */
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
 /**
  * 清理请求头，移除敏感信息
  * @param {Object} headers - 请求头对象
@@ -35,10 +51,13 @@ function sanitizeHeaders(headers) {
  */
 function createAxiosInstance(customConfig = {}) {
   const config = getRequestConfig(customConfig);
+  // 代理、CA 证书和 mTLS 客户端证书（来自 REMOTE_PROXY、HTTPS_PROXY、NO_PROXY、REMOTE_CA_FILE 等配置）
+  const transport = new OutboundTransport();
 
   const instance = axios.create({
     timeout: config.timeout,
     headers: config.headers,
+    proxy: false,
     validateStatus: (status) => {
       // 认为 2xx 和 3xx 都是成功状态码
       return status >= 200 && status < 400;
@@ -48,8 +67,17 @@ function createAxiosInstance(customConfig = {}) {
   // 请求拦截器
   instance.interceptors.request.use(
     (requestConfig) => {
+      // 按当前会话解析上游认证信息
+      const { Authorization } = getHeaders();
+      if (Authorization) {
+        requestConfig.headers.Authorization = Authorization;
+      }
+
+      // 按目标地址选择代理和连接代理
+      Object.assign(requestConfig, transport.getRequestConfig(instance.getUri(requestConfig)));
+
       logger.debug(`发送 ${requestConfig.method?.toUpperCase()} 请求到 ${requestConfig.url}`, {
-        headers: requestConfig.headers,
+        headers: sanitizeHeaders(requestConfig.headers),
         data: requestConfig.data,
       });
       return requestConfig;
@@ -128,12 +156,28 @@ function createAxiosInstance(customConfig = {}) {
 }
 
 /**
- * 延迟函数
+ * 延迟函数，signal 中止时立即以 CancelledError 结束
  * @param {number} ms - 延迟毫秒数
+ * @param {AbortSignal} signal - 取消信号（可选）
  * @returns {Promise} Promise 对象
  */
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function delay(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 /**
@@ -149,22 +193,116 @@ function getExponentialBackoffDelay(attemptNumber, baseDelay) {
   return Math.min(exponentialDelay + jitter, 30000); // 最大延迟 30 秒
 }
 
+/**
+ * 读取响应头（axios 的响应头名称为小写）
+ * @param {Object} headers - 响应头
+ * @param {string} name - 响应头名称（小写）
+ * @returns {string|null} 响应头的值
+ */
+function getHeader(headers, name) {
+  const value = headers?.[name];
+  return value === undefined || value === null || value === '' ? null : String(value).trim();
+}
+
+/**
+ * 把 X-RateLimit-Reset 转换为重置时间
+ * 大于 10^9 的值视为 Unix 时间戳（秒），否则视为距离重置的秒数
+ * @param {string} value - 响应头的值
+ * @param {number} now - 当前时间（毫秒）
+ * @returns {number|null} 重置时间（毫秒时间戳），无法解析时返回 null
+ */
+function parseRateLimitReset(value, now = Date.now()) {
+  const reset = Number(value);
+  if (value === null || !Number.isFinite(reset) || reset < 0) {
+    return null;
+  }
+  return reset > 1e9 ? reset * 1000 : now + reset * 1000;
+}
+
+/**
+ * 根据响应头计算服务端要求的等待时间
+ * 优先使用 Retry-After（秒数或 HTTP 日期），其次使用 X-RateLimit-Reset
+ * @param {Object} headers - 响应头
+ * @param {number} now - 当前时间（毫秒）
+ * @returns {number|null} 需要等待的毫秒数，没有相关响应头时返回 null
+ */
+function getRetryAfterMs(headers, now = Date.now()) {
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (retryAfter !== null) {
+    if (/^\d+$/.test(retryAfter)) {
+      return Number(retryAfter) * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  const resetAt = parseRateLimitReset(getHeader(headers, 'x-ratelimit-reset'), now);
+  return resetAt === null ? null : Math.max(0, resetAt - now);
+}
+
+/**
+ * 解析服务端返回的配额响应头（X-RateLimit-Limit / Remaining / Reset）
+ * @param {Object} headers - 响应头
+ * @param {number} now - 当前时间（毫秒）
+ * @returns {Object|null} { limit, remaining, reset_at, observed_at }，没有配额响应头时返回 null
+ */
+function parseRateLimitHeaders(headers, now = Date.now()) {
+  const remaining = getHeader(headers, 'x-ratelimit-remaining');
+  const limit = getHeader(headers, 'x-ratelimit-limit');
+  if (remaining === null && limit === null) {
+    return null;
+  }
+
+  const resetAt = parseRateLimitReset(getHeader(headers, 'x-ratelimit-reset'), now);
+  const toNumber = (value) => (value === null || Number.isNaN(Number(value)) ? null : Number(value));
+
+  return {
+    limit: toNumber(limit),
+    remaining: toNumber(remaining),
+    reset_at: resetAt === null ? null : new Date(resetAt).toISOString(),
+    observed_at: new Date(now).toISOString(),
+  };
+}
+
 /**
  * 执行带重试的 HTTP 请求
+ * 响应带有 Retry-After 或 X-RateLimit-Reset 时按服务端要求的时间等待，否则按指数退避等待；
+ * 所有重试的等待时间之和不超过 maxRetryWait，下一次等待会超出时不再重试。
+ * 提供 signal 时，中止后不再发起新的尝试，正在进行的退避等待也会立即结束，统一抛出 CancelledError。
+ * 提供 beforeRetry 时，每次重试前调用 beforeRetry(error, attempt)，返回 undefined 以外的值时不再重试，直接以该值作为结果
  * @param {Function} requestFn - 请求函数
- * @param {Object} options - 选项
+ * @param {Object} options - 选项 { maxRetries, retryDelay, maxRetryWait, signal, beforeRetry }
  * @returns {Promise} Promise 对象
  */
 async function executeWithRetry(requestFn, options = {}) {
-  const { maxRetries = DEFAULT_CONFIG.MAX_RETRIES, retryDelay = DEFAULT_CONFIG.RETRY_DELAY } = options;
+  const {
+    maxRetries = DEFAULT_CONFIG.MAX_RETRIES,
+    retryDelay = DEFAULT_CONFIG.RETRY_DELAY,
+    maxRetryWait = DEFAULT_CONFIG.MAX_RETRY_WAIT,
+    signal = null,
+    beforeRetry = null,
+  } = options;
   let lastError;
+  let waitedMs = 0;
 
   for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    if (signal?.aborted) {
+      throw new CancelledError();
+    }
+
     try {
       return await requestFn();
     } catch (error) {
       lastError = error;
 
+      // 请求被取消（axios 抛出的 CanceledError 也在这里统一转换）
+      if (signal?.aborted) {
+        logger.info('请求已取消，不再重试');
+        throw error instanceof CancelledError ? error : new CancelledError();
+      }
+
       // 如果是最后一次尝试，直接抛出错误
       if (attempt > maxRetries) {
         logger.error(`请求失败，已达到最大重试次数 ${maxRetries}:`, error.message);
@@ -177,9 +315,25 @@ async function executeWithRetry(requestFn, options = {}) {
         throw error;
       }
 
-      const delayMs = getExponentialBackoffDelay(attempt, retryDelay);
-      logger.warn(`请求失败，${delayMs}ms 后进行第 ${attempt} 次重试:`, error.message);
-      await delay(delayMs);
+      const serverDelayMs = getRetryAfterMs(error.response?.headers);
+      const delayMs = serverDelayMs ?? getExponentialBackoffDelay(attempt, retryDelay);
+      if (waitedMs + delayMs > maxRetryWait) {
+        logger.warn(`重试需要等待 ${Math.ceil(delayMs)}ms，超出剩余的重试等待时间 ${maxRetryWait - waitedMs}ms，不再重试:`, error.message);
+        throw error;
+      }
+
+      const source = serverDelayMs !== null ? '（服务端指定）' : '';
+      logger.warn(`请求失败，${Math.ceil(delayMs)}ms${source} 后进行第 ${attempt} 次重试:`, error.message);
+      waitedMs += delayMs;
+      await delay(delayMs, signal);
+
+      if (beforeRetry) {
+        const recovered = await beforeRetry(error, attempt);
+        if (recovered !== undefined) {
+          logger.info('重试前已确认上一次尝试的结果，不再重试');
+          return recovered;
+        }
+      }
     }
   }
 
@@ -192,11 +346,22 @@ async function executeWithRetry(requestFn, options = {}) {
  * @returns {boolean} 是否应该重试
  */
 function shouldNotRetry(error) {
+  // 被客户端限流拒绝、被熔断器拒绝或已取消的请求不应该重试
+  if (error instanceof RateLimitError || error instanceof CircuitOpenError
+    || error instanceof CancelledError || axios.isCancel(error)) {
+    return true;
+  }
+
   // 认证错误不应该重试
   if (error.response?.status === 401) {
     return true;
   }
 
+  // 服务端限流（429）按 Retry-After 等待后重试
+  if (error.response?.status === 429) {
+    return false;
+  }
+
   // 客户端错误（4xx）不应该重试
   if (error.response?.status >= 400 && error.response?.status < 500) {
     return true;
@@ -206,12 +371,219 @@ function shouldNotRetry(error) {
   return false;
 }
 
+/**
+ * 判断错误是否说明远程服务不可用（计入熔断器的失败次数）
+ * 网络错误、超时和 5xx 计为失败；4xx 说明服务可用；被取消或被客户端拒绝的请求没有到达服务端
+ * @param {Error} error - 错误对象
+ * @returns {boolean|null} true 为失败，false 为服务可用，null 表示请求未到达服务端
+ */
+function isBackendFailure(error) {
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+
+  if (error instanceof RateLimitError || error instanceof CircuitOpenError
+    || error instanceof CancelledError || axios.isCancel(error)) {
+    return null;
+  }
+
+  return true;
+}
+
+/**
+ * 判断失败的请求是否可能已经被服务端处理（例如超时前服务端已经完成创建）
+ * 连接被拒绝、域名解析失败或被客户端拒绝的请求没有到达服务端；4xx 响应说明服务端没有执行该请求
+ * @param {Error} error - 错误对象
+ * @returns {boolean} 是否可能已被处理
+ */
+function mayHaveReachedServer(error) {
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+
+  if (isBackendFailure(error) === null) {
+    return false;
+  }
+
+  return !['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
+}
+
 /**
  * HTTP 客户端类
  */
 class HttpClient {
-  constructor() {
+  /**
+   * @param {Object} options - 客户端选项
+   * @param {TokenBucketRateLimiter} options.rateLimiter - 限流器，未提供时按 MCP 配置中的 rateLimit 创建
+   * @param {CircuitBreaker} options.circuitBreaker - 熔断器，未提供时按 MCP 配置中的 circuitBreaker 创建
+   */
+  constructor(options = {}) {
     this.instance = createAxiosInstance();
+    this.rateLimiter = options.rateLimiter || null;
+    this.circuitBreaker = options.circuitBreaker || null;
+    // 进行中的请求：requestId -> AbortController
+    this.activeRequests = new Map();
+    // 服务端最近返回的配额信息：凭据作用域 -> { limit, remaining, reset_at, observed_at }
+    this.upstreamRateLimits = new Map();
+    // 服务端在响应中回显了幂等键时，确认其支持 Idempotency-Key
+    this.idempotencyKeysConfirmed = false;
+
+    this.instance.interceptors.response.use(
+      (response) => {
+        this.recordUpstreamRateLimit(response.headers);
+        if (response.config?.headers?.[IDEMPOTENCY_HEADER]
+          && (response.headers?.['idempotency-key'] || response.headers?.['idempotent-replayed'])) {
+          this.idempotencyKeysConfirmed = true;
+        }
+        return response;
+      },
+      (error) => {
+        this.recordUpstreamRateLimit(error.response?.headers);
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * 记录响应头中的服务端配额信息（按当前凭据作用域）
+   * @param {Object} headers - 响应头
+   */
+  recordUpstreamRateLimit(headers) {
+    const state = parseRateLimitHeaders(headers);
+    if (state) {
+      this.upstreamRateLimits.set(getCredentialScope(), state);
+    }
+  }
+
+  /**
+   * 服务端是否支持 Idempotency-Key（配置声明支持，或已在响应中确认）
+   * 支持时重复发送的创建请求由服务端去重，重试前不需要查找已创建的链接
+   * @returns {boolean} 是否支持
+   */
+  supportsIdempotencyKeys() {
+    return DEFAULT_CONFIG.IDEMPOTENCY_KEYS_SUPPORTED || this.idempotencyKeysConfirmed;
+  }
+
+  /**
+   * 获取当前凭据最近一次观察到的服务端配额
+   * @returns {Object|null} { limit, remaining, reset_at, observed_at }，服务端未返回配额响应头时为 null
+   */
+  getUpstreamRateLimit() {
+    return this.upstreamRateLimits.get(getCredentialScope()) || null;
+  }
+
+  /**
+   * 登记一个请求并创建它的 AbortController
+   * options.signal 或当前工具调用上下文中的 signal 中止时，该请求也随之中止
+   * @param {Object} options - 请求选项 { requestId, signal }
+   * @returns {Object} { requestId, signal, release }，请求结束后需要调用 release
+   */
+  trackRequest(options = {}) {
+    const requestId = options.requestId || `req_${++requestSequence}`;
+    const controller = new AbortController();
+    const sources = [options.signal, getRequestContext()?.signal].filter(Boolean);
+    const onAbort = () => controller.abort();
+
+    for (const source of sources) {
+      if (source.aborted) {
+        controller.abort();
+      } else {
+        source.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    this.activeRequests.set(requestId, controller);
+
+    return {
+      requestId,
+      signal: controller.signal,
+      release: () => {
+        this.activeRequests.delete(requestId);
+        sources.forEach((source) => source.removeEventListener('abort', onAbort));
+      },
+    };
+  }
+
+  /**
+   * 以可取消的方式执行一次带重试的请求
+   * @param {Object} options - 请求选项
+   * @param {Function} attemptFn - 单次尝试 (signal) => Promise
+   * @returns {Promise} Promise 对象
+   */
+  async execute(options, attemptFn) {
+    const { signal, release } = this.trackRequest(options);
+
+    try {
+      return await executeWithRetry(() => this.runAttempt(attemptFn, signal), { ...options, signal });
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * 经过熔断器执行单次尝试，并把结果记录到熔断器
+   * @param {Function} attemptFn - 单次尝试 (signal) => Promise
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise} Promise 对象
+   * @throws {CircuitOpenError} 熔断器打开时立即抛出
+   */
+  async runAttempt(attemptFn, signal) {
+    const breaker = this.getCircuitBreaker();
+    const probe = breaker.acquire();
+
+    try {
+      const result = await attemptFn(signal);
+      breaker.recordSuccess(probe);
+      return result;
+    } catch (error) {
+      const failure = isBackendFailure(error);
+      if (failure === true) {
+        breaker.recordFailure(error, probe);
+      } else if (failure === false) {
+        breaker.recordSuccess(probe);
+      } else {
+        breaker.release(probe);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 获取限流器（首次使用时创建，确保命令行指定的配置文件已生效）
+   * @returns {TokenBucketRateLimiter} 限流器实例
+   */
+  getRateLimiter() {
+    if (!this.rateLimiter) {
+      this.rateLimiter = new TokenBucketRateLimiter(getMcpConfig().rateLimit);
+    }
+    return this.rateLimiter;
+  }
+
+  /**
+   * 获取限流器状态
+   * @returns {Object} 限流器状态
+   */
+  getRateLimitState() {
+    return this.getRateLimiter().getState();
+  }
+
+  /**
+   * 获取熔断器（首次使用时创建，确保命令行指定的配置文件已生效）
+   * @returns {CircuitBreaker} 熔断器实例
+   */
+  getCircuitBreaker() {
+    if (!this.circuitBreaker) {
+      this.circuitBreaker = new CircuitBreaker(getMcpConfig().circuitBreaker);
+    }
+    return this.circuitBreaker;
+  }
+
+  /**
+   * 获取熔断器状态
+   * @returns {Object} 熔断器状态
+   */
+  getCircuitBreakerState() {
+    return this.getCircuitBreaker().getState();
   }
 
   /**
@@ -225,10 +597,14 @@ class HttpClient {
     const config = { params, ...options };
     this.logDetailedRequest('GET', url, config);
 
-    return executeWithRetry(
-      async () => {
+    return this.execute(
+      options,
+      async (signal) => {
+        // 每次尝试（包括重试）都需要获取令牌
+        await this.getRateLimiter().acquire(signal);
+
         const startTime = Date.now();
-        const response = await this.instance.get(url, config);
+        const response = await this.instance.get(url, { ...config, signal });
 
         // 计算请求耗时
         const duration = Date.now() - startTime;
@@ -236,26 +612,33 @@ class HttpClient {
 
         this.logDetailedResponse(response);
         return response.data;
-      },
-      options
+      }
     );
   }
 
   /**
    * 执行 POST 请求
+   * 提供 options.idempotencyKey 时，每次尝试（包括重试）都带上相同的 Idempotency-Key 请求头
    * @param {string} url - 请求 URL
    * @param {Object} data - 请求数据
-   * @param {Object} options - 额外选项
+   * @param {Object} options - 额外选项（idempotencyKey、beforeRetry 见 executeWithRetry）
    * @returns {Promise} Promise 对象
    */
   async post(url, data = {}, options = {}) {
-    const config = { ...options };
+    const { idempotencyKey, beforeRetry, ...config } = options;
+    if (idempotencyKey) {
+      config.headers = { ...config.headers, [IDEMPOTENCY_HEADER]: idempotencyKey };
+    }
     this.logDetailedRequest('POST', url, { ...config, data });
 
-    return executeWithRetry(
-      async () => {
+    return this.execute(
+      { ...config, beforeRetry },
+      async (signal) => {
+        // 每次尝试（包括重试）都需要获取令牌
+        await this.getRateLimiter().acquire(signal);
+
         const startTime = Date.now();
-        const response = await this.instance.post(url, data, config);
+        const response = await this.instance.post(url, data, { ...config, signal });
 
         // 计算请求耗时
         const duration = Date.now() - startTime;
@@ -263,8 +646,7 @@ class HttpClient {
 
         this.logDetailedResponse(response);
         return response.data;
-      },
-      options
+      }
     );
   }
 
@@ -279,10 +661,14 @@ class HttpClient {
     const config = { ...options };
     this.logDetailedRequest('PUT', url, { ...config, data });
 
-    return executeWithRetry(
-      async () => {
+    return this.execute(
+      options,
+      async (signal) => {
+        // 每次尝试（包括重试）都需要获取令牌
+        await this.getRateLimiter().acquire(signal);
+
         const startTime = Date.now();
-        const response = await this.instance.put(url, data, config);
+        const response = await this.instance.put(url, data, { ...config, signal });
 
         // 计算请求耗时
         const duration = Date.now() - startTime;
@@ -290,8 +676,7 @@ class HttpClient {
 
         this.logDetailedResponse(response);
         return response.data;
-      },
-      options
+      }
     );
   }
 
@@ -305,10 +690,14 @@ class HttpClient {
     const config = { ...options };
     this.logDetailedRequest('DELETE', url, config);
 
-    return executeWithRetry(
-      async () => {
+    return this.execute(
+      options,
+      async (signal) => {
+        // 每次尝试（包括重试）都需要获取令牌
+        await this.getRateLimiter().acquire(signal);
+
         const startTime = Date.now();
-        const response = await this.instance.delete(url, config);
+        const response = await this.instance.delete(url, { ...config, signal });
 
         // 计算请求耗时
         const duration = Date.now() - startTime;
@@ -316,8 +705,7 @@ class HttpClient {
 
         this.logDetailedResponse(response);
         return response.data;
-      },
-      options
+      }
     );
   }
 
@@ -332,10 +720,14 @@ class HttpClient {
     const config = { ...options };
     this.logDetailedRequest('PATCH', url, { ...config, data });
 
-    return executeWithRetry(
-      async () => {
+    return this.execute(
+      options,
+      async (signal) => {
+        // 每次尝试（包括重试）都需要获取令牌
+        await this.getRateLimiter().acquire(signal);
+
         const startTime = Date.now();
-        const response = await this.instance.patch(url, data, config);
+        const response = await this.instance.patch(url, data, { ...config, signal });
 
         // 计算请求耗时
         const duration = Date.now() - startTime;
@@ -343,8 +735,7 @@ class HttpClient {
 
         this.logDetailedResponse(response);
         return response.data;
-      },
-      options
+      }
     );
   }
 
@@ -365,26 +756,30 @@ class HttpClient {
   }
 
   /**
-   * 取消请求
+   * 取消请求（通过 options.requestId 指定 ID 的请求）
    * @param {string} requestId - 请求 ID
+   * @returns {boolean} 是否找到并取消了该请求
    */
   cancelRequest(requestId) {
-    if (this.activeRequests && this.activeRequests[requestId]) {
-      this.activeRequests[requestId].cancel();
-      delete this.activeRequests[requestId];
+    const controller = this.activeRequests.get(requestId);
+    if (!controller) {
+      return false;
     }
+
+    controller.abort();
+    this.activeRequests.delete(requestId);
+    return true;
   }
 
   /**
    * 取消所有请求
+   * @returns {number} 取消的请求数
    */
   cancelAllRequests() {
-    if (this.activeRequests) {
-      Object.keys(this.activeRequests).forEach((requestId) => {
-        this.activeRequests[requestId].cancel();
-      });
-      this.activeRequests = {};
-    }
+    const count = this.activeRequests.size;
+    this.activeRequests.forEach((controller) => controller.abort());
+    this.activeRequests.clear();
+    return count;
   }
 
   /**
@@ -491,8 +886,13 @@ const defaultHttpClient = new HttpClient();
 export {
   HttpClient,
   createAxiosInstance,
+  delay,
   executeWithRetry,
   getExponentialBackoffDelay,
+  getRetryAfterMs,
+  parseRateLimitHeaders,
+  isBackendFailure,
+  mayHaveReachedServer,
   shouldNotRetry,
   defaultHttpClient,
 };
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * 本地短链接索引模块
+ * 按凭据作用域和域名保存「规范化原始 URL -> 短链接」的映射，用于创建前查找已有链接，避免每次都全量扫描
+ */
+
+import { canonicalizeUrl } from '../utils/validation.js';
+
+/**
+ * 短链接索引类
+ */
+class LinkIndex {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.ttl - 索引有效期（毫秒），过期后需要重新同步
+   */
+  constructor({ ttl = 300000 } = {}) {
+    this.ttl = ttl;
+    // `${scope}|${domain}` -> { syncedAt, byUrl: Map<url, Map<id, link>>, urlById: Map<id, url> }
+    this.partitions = new Map();
+  }
+
+  /**
+   * 获取分区键
+   * @param {string} scope - 凭据作用域
+   * @param {string} domain - 域名
+   * @returns {string} 分区键
+   */
+  partitionKey(scope, domain) {
+    return `${scope}|${domain}`;
+  }
+
+  /**
+   * 检查某个域名的索引是否已同步且未过期
+   * @param {string} scope - 凭据作用域
+   * @param {string} domain - 域名
+   * @returns {boolean} 是否可用
+   */
+  isFresh(scope, domain) {
+    const partition = this.partitions.get(this.partitionKey(scope, domain));
+    return Boolean(partition) && Date.now() - partition.syncedAt < this.ttl;
+  }
+
+  /**
+   * 用全量扫描的结果替换某个域名的索引
+   * @param {string} scope - 凭据作用域
+   * @param {string} domain - 域名
+   * @param {Array} links - 该域名下的全部短链接
+   */
+  replace(scope, domain, links) {
+    const partition = { syncedAt: Date.now(), byUrl: new Map(), urlById: new Map() };
+    this.partitions.set(this.partitionKey(scope, domain), partition);
+
+    for (const link of links) {
+      this.addToPartition(partition, link);
+    }
+  }
+
+  /**
+   * 把短链接加入分区
+   * @param {Object} partition - 分区
+   * @param {Object} link - 短链接
+   */
+  addToPartition(partition, link) {
+    if (!link?.id || !link.original_url) return;
+
+    this.removeFromPartition(partition, link.id);
+
+    const url = canonicalizeUrl(link.original_url);
+    if (!partition.byUrl.has(url)) {
+      partition.byUrl.set(url, new Map());
+    }
+    partition.byUrl.get(url).set(link.id, link);
+    partition.urlById.set(link.id, url);
+  }
+
+  /**
+   * 从分区中移除短链接
+   * @param {Object} partition - 分区
+   * @param {number} id - 短链接 ID
+   */
+  removeFromPartition(partition, id) {
+    const url = partition.urlById.get(id);
+    if (url === undefined) return;
+
+    const links = partition.byUrl.get(url);
+    links.delete(id);
+    if (links.size === 0) {
+      partition.byUrl.delete(url);
+    }
+    partition.urlById.delete(id);
+  }
+
+  /**
+   * 记录新建或更新后的短链接（只维护已同步的域名）
+   * @param {string} scope - 凭据作用域
+   * @param {Object} link - 短链接
+   */
+  upsert(scope, link) {
+    if (!link?.id) return;
+
+    // 域名可能已变化，先从同一作用域的所有分区中移除
+    this.remove(scope, link.id);
+
+    const partition = link.domain ? this.partitions.get(this.partitionKey(scope, link.domain)) : null;
+    if (partition) {
+      this.addToPartition(partition, link);
+    }
+  }
+
+  /**
+   * 移除短链接
+   * @param {string} scope - 凭据作用域
+   * @param {number} id - 短链接 ID
+   */
+  remove(scope, id) {
+    for (const [key, partition] of this.partitions) {
+      if (key.startsWith(`${scope}|`)) {
+        this.removeFromPartition(partition, id);
+      }
+    }
+  }
+
+  /**
+   * 查找指向同一原始 URL 的短链接
+   * @param {string} scope - 凭据作用域
+   * @param {string} domain - 域名
+   * @param {string} originalUrl - 原始 URL
+   * @param {Function} predicate - 额外筛选条件（可选）
+   * @returns {Array} 匹配的短链接，按 ID 从新到旧排列
+   */
+  find(scope, domain, originalUrl, predicate = () => true) {
+    const partition = this.partitions.get(this.partitionKey(scope, domain));
+    const links = partition?.byUrl.get(canonicalizeUrl(originalUrl));
+    if (!links) return [];
+
+    return Array.from(links.values())
+      .filter(predicate)
+      .sort((a, b) => b.id - a.id);
+  }
+
+  /**
+   * 清空索引
+   */
+  clear() {
+    this.partitions.clear();
+  }
+}
+
+export { LinkIndex };
+export default LinkIndex;
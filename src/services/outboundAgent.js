@@ -0,0 +1,203 @@
+/**
+ * 出站连接模块
+ * 为访问远程服务的请求配置代理、附加 CA 证书、mTLS 客户端证书和证书校验。
+ * HTTPS 目标通过代理的 CONNECT 隧道访问，TLS 在隧道内直接与远程服务握手；HTTP 目标由代理转发
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import tls from 'node:tls';
+import {
+  DEFAULT_CONFIG,
+  getProxyConfig,
+  getTlsConfig,
+  redactUrlCredentials,
+  getLogger,
+} from '../config/remoteConfig.js';
+
+const logger = getLogger();
+
+/**
+ * 通过 HTTP(S) 代理的 CONNECT 隧道访问 HTTPS 目标的连接代理
+ */
+class TunnelingAgent extends https.Agent {
+  /**
+   * @param {string} proxyUrl - 代理地址，可带用户名和密码
+   * @param {Object} tlsOptions - 与远程服务握手时使用的 TLS 选项（ca、cert、key、rejectUnauthorized 等）
+   */
+  constructor(proxyUrl, tlsOptions = {}) {
+    super({ keepAlive: true, ...tlsOptions });
+    this.proxy = new URL(proxyUrl);
+    this.proxyTlsOptions = { ca: tlsOptions.ca, rejectUnauthorized: tlsOptions.rejectUnauthorized };
+  }
+
+  /**
+   * 建立到代理的隧道，再在隧道内与目标进行 TLS 握手
+   * @param {Object} options - 连接选项（已合并本连接代理的 TLS 选项）
+   * @param {Function} callback - (error, socket) => void
+   */
+  createConnection(options, callback) {
+    const { proxy } = this;
+    const isHttpsProxy = proxy.protocol === 'https:';
+    const target = `${options.host}:${options.port}`;
+    const headers = { Host: target };
+
+    if (proxy.username || proxy.password) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const request = (isHttpsProxy ? https : http).request({
+      host: proxy.hostname.replace(/^\[(.*)\]$/, '$1'),
+      port: proxy.port || (isHttpsProxy ? 443 : 80),
+      method: 'CONNECT',
+      path: target,
+      headers,
+      agent: false,
+      ...(isHttpsProxy ? this.proxyTlsOptions : {}),
+    });
+
+    request.setTimeout(DEFAULT_CONFIG.REQUEST_TIMEOUT, () => {
+      request.destroy(new Error(`连接代理超时: ${redactUrlCredentials(proxy.href)}`));
+    });
+
+    request.once('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        callback(new Error(`代理拒绝建立到 ${target} 的隧道: HTTP ${response.statusCode}`));
+        return;
+      }
+
+      request.setTimeout(0);
+      callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+    });
+
+    request.once('error', (error) => callback(error));
+    request.end();
+  }
+}
+
+/**
+ * 出站连接配置类
+ * 按目标地址为每个请求选择代理和连接代理，连接代理按代理地址复用
+ */
+class OutboundTransport {
+  constructor() {
+    this.tlsOptions = null;
+    this.agents = new Map();
+  }
+
+  /**
+   * 读取 TLS 配置中的证书文件（首次使用时读取）
+   * @returns {Object} TLS 选项，未配置任何 TLS 选项时为空对象
+   */
+  getTlsOptions() {
+    if (this.tlsOptions) {
+      return this.tlsOptions;
+    }
+
+    const config = getTlsConfig();
+    const options = {};
+
+    if (config.caFiles.length > 0) {
+      // 指定 ca 会替换 Node 的默认根证书，因此同时带上默认根证书
+      options.ca = [
+        ...tls.rootCertificates,
+        ...config.caFiles.map((file) => fs.readFileSync(file, 'utf8')),
+      ];
+    }
+
+    if (config.certFile && config.keyFile) {
+      options.cert = fs.readFileSync(config.certFile);
+      options.key = fs.readFileSync(config.keyFile);
+      if (config.passphrase) {
+        options.passphrase = config.passphrase;
+      }
+    }
+
+    if (!config.rejectUnauthorized) {
+      options.rejectUnauthorized = false;
+      logger.warn('已关闭远程服务证书校验（REMOTE_TLS_REJECT_UNAUTHORIZED=false），请勿在生产环境使用');
+    }
+
+    this.tlsOptions = options;
+    return options;
+  }
+
+  /**
+   * 获取访问 HTTPS 目标的连接代理
+   * @param {Object|null} proxy - 代理配置 { url, source }
+   * @returns {https.Agent|undefined} 连接代理，直连且没有 TLS 选项时返回 undefined（使用默认连接代理）
+   */
+  getHttpsAgent(proxy) {
+    const key = proxy ? proxy.url : 'direct';
+    if (this.agents.has(key)) {
+      return this.agents.get(key);
+    }
+
+    const tlsOptions = this.getTlsOptions();
+    let agent;
+    if (proxy) {
+      agent = new TunnelingAgent(proxy.url, tlsOptions);
+      logger.info(`访问远程服务将通过代理: ${redactUrlCredentials(proxy.url)}（来自 ${proxy.source}）`);
+    } else if (Object.keys(tlsOptions).length > 0) {
+      agent = new https.Agent({ keepAlive: true, ...tlsOptions });
+    }
+
+    this.agents.set(key, agent);
+    return agent;
+  }
+
+  /**
+   * 获取某个请求的 axios 连接配置
+   * 代理始终由这里决定（关闭 axios 自带的环境变量代理），以便 HTTPS 目标使用 CONNECT 隧道
+   * @param {string} url - 请求地址
+   * @returns {Object} { proxy, httpsAgent }
+   */
+  getRequestConfig(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return { proxy: false };
+    }
+
+    const proxy = getProxyConfig(target.href);
+
+    if (target.protocol === 'https:') {
+      const httpsAgent = this.getHttpsAgent(proxy);
+      return httpsAgent ? { proxy: false, httpsAgent } : { proxy: false };
+    }
+
+    if (!proxy) {
+      return { proxy: false };
+    }
+
+    const proxyUrl = new URL(proxy.url);
+    return {
+      proxy: {
+        protocol: proxyUrl.protocol.replace(/:$/, ''),
+        host: proxyUrl.hostname,
+        port: Number(proxyUrl.port) || (proxyUrl.protocol === 'https:' ? 443 : 80),
+        ...(proxyUrl.username ? {
+          auth: {
+            username: decodeURIComponent(proxyUrl.username),
+            password: decodeURIComponent(proxyUrl.password),
+          },
+        } : {}),
+      },
+    };
+  }
+
+  /**
+   * 关闭复用的连接
+   */
+  destroy() {
+    this.agents.forEach((agent) => agent?.destroy());
+    this.agents.clear();
+  }
+}
+
+export { TunnelingAgent, OutboundTransport };
+export default OutboundTransport;
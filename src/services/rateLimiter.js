@@ -0,0 +1,161 @@
+/**
+ * 客户端限流模块
+ * 基于令牌桶算法限制发往远程 API 的请求速率，超出速率的请求排队等待，队列已满或等待过久时立即失败
+ */
+
+import { RateLimitError, CancelledError } from '../utils/errorHandler.js';
+import { getLogger } from '../config/remoteConfig.js';
+
+const logger = getLogger();
+
+/**
+ * 令牌桶限流器类
+ */
+class TokenBucketRateLimiter {
+  /**
+   * @param {Object} options - 限流配置
+   * @param {boolean} options.enabled - 是否启用
+   * @param {number} options.requestsPerMinute - 每分钟补充的令牌数
+   * @param {number} options.burstLimit - 令牌桶容量（允许的突发请求数）
+   * @param {number} options.maxWaitMs - 请求排队等待令牌的最长时间（毫秒）
+   * @param {number} options.maxQueueSize - 排队请求数上限
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.requestsPerMinute = options.requestsPerMinute || 100;
+    this.capacity = options.burstLimit || this.requestsPerMinute;
+    this.maxWaitMs = options.maxWaitMs ?? 10000;
+    this.maxQueueSize = options.maxQueueSize ?? 100;
+
+    // 每毫秒补充的令牌数
+    this.refillRate = this.requestsPerMinute / 60000;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * 按流逝时间补充令牌
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 获取一个令牌，令牌不足时排队等待
+   * @param {AbortSignal} signal - 取消信号（可选），中止时退出队列
+   * @returns {Promise<void>} 获取到令牌后 resolve
+   * @throws {RateLimitError} 队列已满或预计等待时间超过 maxWaitMs
+   * @throws {CancelledError} 排队期间请求被取消
+   */
+  acquire(signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(new CancelledError());
+    }
+
+    if (!this.enabled) {
+      return Promise.resolve();
+    }
+
+    this.refill();
+
+    if (this.queue.length === 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      return Promise.resolve();
+    }
+
+    // 排在队尾的请求需要等到第 queue.length + 1 个令牌
+    const waitMs = Math.ceil((this.queue.length + 1 - this.tokens) / this.refillRate);
+
+    if (this.queue.length >= this.maxQueueSize || waitMs > this.maxWaitMs) {
+      const details = {
+        retry_after_ms: waitMs,
+        queued: this.queue.length,
+        max_queue_size: this.maxQueueSize,
+        max_wait_ms: this.maxWaitMs,
+      };
+      logger.warn('客户端限流：请求被拒绝', details);
+      return Promise.reject(new RateLimitError(
+        `请求过于频繁，已超出客户端限流（每分钟 ${this.requestsPerMinute} 次），请约 ${Math.ceil(waitMs / 1000)} 秒后重试`,
+        details
+      ));
+    }
+
+    logger.debug(`客户端限流：请求排队，预计等待 ${waitMs}ms`);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const position = this.queue.indexOf(release);
+        if (position !== -1) {
+          this.queue.splice(position, 1);
+        }
+        reject(new CancelledError());
+      };
+      const release = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(release);
+      this.scheduleDrain();
+    });
+  }
+
+  /**
+   * 安排下一次出队
+   */
+  scheduleDrain() {
+    if (this.timer || this.queue.length === 0) {
+      return;
+    }
+
+    const waitMs = Math.max(0, Math.ceil((1 - this.tokens) / this.refillRate));
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, waitMs);
+  }
+
+  /**
+   * 按可用令牌数放行排队的请求
+   */
+  drain() {
+    this.refill();
+
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.queue.shift()();
+    }
+
+    this.scheduleDrain();
+  }
+
+  /**
+   * 获取限流器状态（用于工具返回的 meta 和状态展示）
+   * @returns {Object} 限流器状态
+   */
+  getState() {
+    if (!this.enabled) {
+      return { enabled: false };
+    }
+
+    this.refill();
+
+    return {
+      enabled: true,
+      requests_per_minute: this.requestsPerMinute,
+      burst_limit: this.capacity,
+      available_tokens: Math.floor(this.tokens),
+      queued: this.queue.length,
+      max_queue_size: this.maxQueueSize,
+      max_wait_ms: this.maxWaitMs,
+    };
+  }
+}
+
+export { TokenBucketRateLimiter };
+export default TokenBucketRateLimiter;
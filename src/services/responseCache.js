@@ -0,0 +1,109 @@
+/**
+ * 响应缓存模块
+ * 为只读接口提供带有效期的 LRU 内存缓存。
+ * 可以替换为任何实现了 get / set / delete / deleteWhere / clear / getStats 的缓存对象
+ */
+
+/**
+ * 内存 LRU 缓存类
+ */
+class MemoryCache {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.ttl - 默认有效期（毫秒），0 表示禁用缓存
+   * @param {number} options.maxEntries - 最大条目数，超出时淘汰最久未使用的条目
+   */
+  constructor({ ttl = 30000, maxEntries = 500 } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    // Map 保持插入顺序，读取时重新插入即可把条目移到末尾（最近使用）
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * 读取缓存
+   * @param {string} key - 缓存键
+   * @returns {any} 缓存值，不存在或已过期时返回 undefined
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses += 1;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits += 1;
+    return entry.value;
+  }
+
+  /**
+   * 写入缓存
+   * @param {string} key - 缓存键
+   * @param {any} value - 缓存值
+   * @param {number} ttl - 有效期（毫秒，可选）
+   */
+  set(key, value, ttl = this.ttl) {
+    if (ttl <= 0 || this.maxEntries <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 删除缓存
+   * @param {string} key - 缓存键
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * 删除所有满足条件的缓存
+   * @param {Function} predicate - (key) => boolean
+   * @returns {number} 删除的条目数
+   */
+  deleteWhere(predicate) {
+    let count = 0;
+    for (const key of Array.from(this.entries.keys())) {
+      if (predicate(key)) {
+        this.entries.delete(key);
+        count += 1;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 清空缓存
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * 获取缓存统计
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      enabled: this.ttl > 0 && this.maxEntries > 0,
+      entries: this.entries.size,
+      max_entries: this.maxEntries,
+      ttl_ms: this.ttl,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
+
+export { MemoryCache };
+export default MemoryCache;
@@ -3,22 +3,121 @@
  * 封装所有与远程短网址服务器交互的业务逻辑
  */
 
-import { defaultHttpClient } from './httpClient.js';
-import { getApiUrl, validateConfig, getLogger } from '../config/remoteConfig.js';
-import { validateOrThrow, normalizeUrl, normalizePaginationParams } from '../utils/validation.js';
-import { ErrorHandler, NotFoundError, BusinessError } from '../utils/errorHandler.js';
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { defaultHttpClient, delay, getExponentialBackoffDelay, mayHaveReachedServer } from './httpClient.js';
+import { DEFAULT_CONFIG, getApiUrl, validateConfig, getLogger } from '../config/remoteConfig.js';
+import {
+  IMPORT_FIELDS,
+  validate,
+  validateOrThrow,
+  normalizeUrl,
+  canonicalizeUrl,
+  normalizePaginationParams,
+  parseShortUrl,
+} from '../utils/validation.js';
+import {
+  ErrorHandler,
+  ErrorCodes,
+  NotFoundError,
+  BusinessError,
+  ValidationError,
+  ConflictError,
+  CircuitOpenError,
+} from '../utils/errorHandler.js';
+import { checkUrlPolicy, assertUrlAllowed } from '../utils/urlPolicy.js';
+import { resolveFilePath } from '../utils/fileAccess.js';
+import { mapWithConcurrency, chunkArray } from '../utils/concurrency.js';
+import { getCredentialScope, getRequestContext } from '../utils/requestContext.js';
+import { FILE_FORMATS, serializeRows, parseRows, detectFileFormat } from '../utils/fileFormats.js';
+import LinkIndex from './linkIndex.js';
+import DomainRegistry from './domainRegistry.js';
+import MemoryCache from './responseCache.js';
 
 const logger = getLogger();
 
+/**
+ * 批量块整体失败时可以重试的错误类型
+ */
+const RETRYABLE_BATCH_ERRORS = [
+  ErrorCodes.NETWORK_ERROR,
+  ErrorCodes.TIMEOUT_ERROR,
+  ErrorCodes.CONNECTION_ERROR,
+  ErrorCodes.INTERNAL_SERVER_ERROR,
+  ErrorCodes.SERVICE_UNAVAILABLE,
+  ErrorCodes.RATE_LIMIT_EXCEEDED,
+];
+
+/**
+ * 找回已创建链接时允许的时钟偏差（毫秒）：创建时间早于调用开始时间超过该值的链接不视为本次调用创建
+ */
+const RECOVERY_CLOCK_SKEW_MS = 60000;
+
+/**
+ * 不写文件直接返回导出内容时，默认最多返回的行数
+ */
+const INLINE_EXPORT_MAX_ROWS = 1000;
+
+/**
+ * 导入结果文件的列
+ */
+const IMPORT_RESULT_COLUMNS = ['row', 'status', 'original_url', 'domain', 'short_url', 'id', 'error'];
+
 /**
  * 短链接服务类
  */
 export class ShortLinkService {
-  constructor() {
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.cache - 只读接口的响应缓存（可选，默认使用内存 LRU 缓存）
+   */
+  constructor(options = {}) {
     this.httpClient = defaultHttpClient;
+    this.cache = options.cache || new MemoryCache({
+      ttl: DEFAULT_CONFIG.RESPONSE_CACHE_TTL,
+      maxEntries: DEFAULT_CONFIG.RESPONSE_CACHE_MAX_ENTRIES,
+    });
+    this.linkIndex = new LinkIndex({ ttl: DEFAULT_CONFIG.LINK_INDEX_TTL });
+    this.domainRegistry = new DomainRegistry({
+      ttl: DEFAULT_CONFIG.DOMAIN_CACHE_TTL,
+      loader: async () => (await this.listDomains({ fresh: true }))?.list || [],
+    });
     this.validateServiceConfig();
   }
 
+  /**
+   * 带缓存的读取：缓存键按凭据作用域隔离，fresh 为 true 时跳过缓存读取，但仍用最新结果刷新缓存
+   * @param {string} key - 缓存键（不含作用域）
+   * @param {boolean} fresh - 是否跳过缓存
+   * @param {Function} request - 实际请求 () => Promise
+   * @returns {Promise<any>} 响应数据
+   */
+  async cachedGet(key, fresh, request) {
+    const cacheKey = `${getCredentialScope()}|${key}`;
+
+    if (!fresh) {
+      const cached = this.cache.get(cacheKey);
+      if (cached !== undefined) {
+        logger.debug('命中响应缓存:', { key });
+        return cached;
+      }
+    }
+
+    const result = await request();
+    this.cache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * 写操作后使受影响的缓存失效：所有列表缓存，以及指定短链接的详情缓存
+   * 同一个短链接可能被多个凭据访问，因此不区分作用域
+   * @param {number} id - 短链接 ID（可选）
+   */
+  invalidateCache(id) {
+    this.cache.deleteWhere((key) => key.includes('|list:') || (id !== undefined && key.endsWith(`|link:${id}`)));
+  }
+
   /**
    * 验证服务配置
    */
@@ -79,16 +178,53 @@ export class ShortLinkService {
 
   /**
    * 创建短链接
+   * if_exists 控制同一域名下已有相同原始 URL 的链接时的行为：
+   * create（默认）总是新建，reuse 返回已有链接（标记 reused: true），error 返回 RESOURCE_ALREADY_EXISTS 错误。
+   * 每次调用生成一个幂等键，所有重试都带上同一个 Idempotency-Key；服务端不支持幂等键时，重试前先查找上一次尝试
+   * 是否已经创建了链接，找到时不再重试，返回该链接并标记 recovered: true
    * @param {Object} params - 创建参数
    * @returns {Promise<Object>} 创建结果
    */
   async createShortUrl(params) {
     try {
       // 验证参数
-      const validatedParams = validateOrThrow('createShortUrl', params);
+      const {
+        if_exists: ifExists,
+        utm,
+        query_params: queryParams,
+        overwrite_utm: overwriteUtm,
+        ...validatedParams
+      } = validateOrThrow('createShortUrl', params);
+
+      // 标准化 URL，并合并 UTM 和其他查询参数
+      validatedParams.original_url = normalizeUrl(validatedParams.original_url, {
+        utm,
+        query_params: queryParams,
+        overwrite_utm: overwriteUtm,
+      });
+      assertUrlAllowed(validatedParams.original_url);
+
+      // 发送前校验域名
+      const domainInfo = await this.resolveDomain(validatedParams.domain);
+      if (domainInfo) {
+        validatedParams.domain = domainInfo.domain;
+      }
+
+      if (ifExists !== 'create') {
+        const existing = await this.findExistingShortUrl(validatedParams);
 
-      // 标准化 URL
-      validatedParams.original_url = normalizeUrl(validatedParams.original_url);
+        if (existing && ifExists === 'error') {
+          throw new ConflictError(`该域名下已存在指向相同地址的短链接: ${existing.short_url}`, {
+            id: existing.id,
+            short_url: existing.short_url,
+          });
+        }
+
+        if (existing) {
+          logger.info('复用已有短链接:', { id: existing.id, short_url: existing.short_url });
+          return { ...existing, reused: true };
+        }
+      }
 
       logger.info('开始创建短链接:', {
         original_url: validatedParams.original_url,
@@ -97,13 +233,23 @@ export class ShortLinkService {
       });
 
       // 发送请求
+      const startedAt = Date.now();
       const response = await this.httpClient.post(
         getApiUrl('/short_links'),
-        validatedParams
+        validatedParams,
+        {
+          idempotencyKey: randomUUID(),
+          beforeRetry: async (error) => {
+            const [link] = (await this.findCreatedShortUrls(validatedParams.domain, [validatedParams], startedAt, error)) || [];
+            return link ? { recovered: link } : undefined;
+          },
+        }
       );
 
-      // 处理响应
-      const result = this.handleApiResponse(response, '创建短链接');
+      // 处理响应（重试前找回了上一次尝试创建的链接时直接使用该链接）
+      const result = response?.recovered
+        ? { ...this.buildShortUrl(response.recovered, domainInfo), recovered: true }
+        : this.buildShortUrl(this.handleApiResponse(response, '创建短链接'), domainInfo);
 
       logger.info('短链接创建成功:', {
         id: result.id,
@@ -111,7 +257,10 @@ export class ShortLinkService {
         short_url: result.short_url,
       });
 
-      return result;
+      this.invalidateCache();
+      this.linkIndex.upsert(getCredentialScope(), { ...result, domain: result.domain || validatedParams.domain });
+
+      return ifExists === 'create' ? result : { ...result, reused: false };
 
     } catch (error) {
       logger.error('创建短链接失败:', error);
@@ -123,22 +272,25 @@ export class ShortLinkService {
   /**
    * 获取短链接信息
    * @param {number} id - 短链接 ID
+   * @param {Object} options - 选项 { fresh: 跳过响应缓存 }
    * @returns {Promise<Object>} 短链接信息
    */
-  async getUrlInfo(id) {
+  async getUrlInfo(id, { fresh = false } = {}) {
     try {
       // 验证参数
       validateOrThrow('getUrlInfo', { id });
 
       logger.info('获取短链接信息:', { id });
 
-      // 发送请求
-      const response = await this.httpClient.get(
-        getApiUrl(`/short_links/${id}`)
-      );
+      const result = await this.cachedGet(`link:${id}`, fresh, async () => {
+        // 发送请求
+        const response = await this.httpClient.get(
+          getApiUrl(`/short_links/${id}`)
+        );
 
-      // 处理响应
-      const result = this.handleApiResponse(response, '获取短链接信息');
+        // 处理响应
+        return this.handleApiResponse(response, '获取短链接信息');
+      });
 
       logger.info('获取短链接信息成功:', {
         id: result.id,
@@ -165,9 +317,9 @@ export class ShortLinkService {
       // 验证参数
       const validatedParams = validateOrThrow('updateShortUrl', params);
 
-      // 如果提供了 URL，进行标准化
+      // 如果提供了 URL，进行标准化并按目标地址策略检查
       if (validatedParams.original_url) {
-        validatedParams.original_url = normalizeUrl(validatedParams.original_url);
+        validatedParams.original_url = assertUrlAllowed(normalizeUrl(validatedParams.original_url));
       }
 
       logger.info('开始更新短链接:', {
@@ -189,6 +341,15 @@ export class ShortLinkService {
         short_code: result.short_code,
       });
 
+      this.invalidateCache(validatedParams.id);
+
+      // 原始 URL 或状态可能已变化，刷新本地索引
+      if (result?.id && result.original_url) {
+        this.linkIndex.upsert(getCredentialScope(), result);
+      } else {
+        this.linkIndex.remove(getCredentialScope(), validatedParams.id);
+      }
+
       return result;
 
     } catch (error) {
@@ -220,6 +381,9 @@ export class ShortLinkService {
 
       logger.info('短链接删除成功:', { id });
 
+      this.invalidateCache(id);
+      this.linkIndex.remove(getCredentialScope(), id);
+
       return result;
 
     } catch (error) {
@@ -231,40 +395,166 @@ export class ShortLinkService {
 
   /**
    * 批量创建短链接
-   * @param {Object} params - 批量创建参数
-   * @returns {Promise<Object>} 批量创建结果
+   * 每个条目可以是 URL 字符串，也可以是包含 original_url、title、description、custom_code、expire_at 的对象；
+   * 未在条目中提供的 title、description、expire_at 使用 defaults 中的值。校验失败的条目放入 failed，不影响其他条目。
+   * 输入数量不限：按 BATCH_CHUNK_SIZE 拆分成块，以 BATCH_CONCURRENCY 的并发数发送，整块失败时只重试失败的块。
+   * 每个块使用固定的幂等键（重试时不变）；服务端不支持幂等键时，重试前先找回已创建的条目（标记 recovered: true），只重新发送其余条目。
+   * 服务端返回的链接未应用自定义短代码时该条目放入 failed（附带实际创建的链接 created），未应用 title、description、expire_at 时在 warnings 中说明
+   * @param {Object} params - 批量创建参数 { urls, domain, defaults, utm, query_params, overwrite_utm }
+   * @returns {Promise<Object>} 批量创建结果 { success, failed, chunks }，success 和 failed 中的条目带有原始下标 index
    */
   async batchCreateShortUrls(params) {
     try {
       // 验证参数
       const validatedParams = validateOrThrow('batchCreateShortUrls', params);
 
-      // 标准化所有 URL
-      const normalizedUrls = validatedParams.urls.map(url => normalizeUrl(url));
+      // 发送前校验域名
+      const domainInfo = await this.resolveDomain(validatedParams.domain);
+      if (domainInfo) {
+        validatedParams.domain = domainInfo.domain;
+      }
+
+      // 逐条合并默认值并校验
+      const { items, failed: invalidItems } = this.prepareBatchItems(
+        validatedParams.urls,
+        validatedParams.defaults || {},
+        {
+          utm: validatedParams.utm,
+          query_params: validatedParams.query_params,
+          overwrite_utm: validatedParams.overwrite_utm,
+        }
+      );
+
+      const chunkSize = Math.max(1, DEFAULT_CONFIG.BATCH_CHUNK_SIZE);
+      const chunks = chunkArray(items, chunkSize);
+      const chunkStats = {
+        total: chunks.length,
+        size: chunkSize,
+        succeeded: 0,
+        failed: 0,
+        retried: 0,
+      };
 
       logger.info('开始批量创建短链接:', {
-        url_count: normalizedUrls.length,
+        url_count: validatedParams.urls.length,
+        valid_count: items.length,
+        invalid_count: invalidItems.length,
+        chunk_count: chunks.length,
         domain: validatedParams.domain,
       });
 
-      // 发送请求
-      const response = await this.httpClient.post(
-        getApiUrl('/short_links/batch'),
-        {
-          ...validatedParams,
-          urls: normalizedUrls,
+      const success = [];
+      const failed = [...invalidItems];
+      const requested = new Map(items.map((item) => [item.index, item.data]));
+      let createdCount = 0;
+      let pending = chunks;
+      let lastError = null;
+
+      // 每个块的幂等键和最近一次失败，整块重试时沿用
+      const startedAt = Date.now();
+      const batchKey = randomUUID();
+      const chunkKeys = new Map(chunks.map((chunk, i) => [chunk, `${batchKey}-${i + 1}`]));
+      const chunkErrors = new Map();
+
+      for (let round = 0; pending.length > 0; round++) {
+        if (round > 0) {
+          chunkStats.retried += pending.length;
+          const delayMs = getExponentialBackoffDelay(round, DEFAULT_CONFIG.RETRY_DELAY);
+          logger.warn(`${pending.length} 个批量块失败，${delayMs}ms 后进行第 ${round} 轮重试`);
+          await delay(delayMs, getRequestContext()?.signal);
         }
-      );
 
-      // 处理响应
-      const result = this.handleApiResponse(response, '批量创建短链接');
+        const outcomes = await mapWithConcurrency(
+          pending,
+          DEFAULT_CONFIG.BATCH_CONCURRENCY,
+          (chunk) => this.sendBatchChunk(validatedParams.domain, chunk, {
+            idempotencyKey: chunkKeys.get(chunk),
+            since: startedAt,
+            previousError: chunkErrors.get(chunk),
+          })
+        );
+
+        const retryChunks = [];
+        outcomes.forEach((outcome, i) => {
+          if (outcome.status === 'fulfilled') {
+            chunkStats.succeeded += 1;
+            outcome.value.success.forEach((link) => {
+              const created = this.buildShortUrl(link, domainInfo);
+              const unapplied = this.findUnappliedFields(requested.get(link.index) || {}, link);
+              createdCount += 1;
+
+              if (unapplied.length > 0) {
+                logger.warn('服务端返回的链接未应用条目中的字段，服务端可能只支持 urls 列表:', {
+                  index: link.index,
+                  fields: unapplied,
+                });
+              }
+
+              // 自定义短代码未生效时链接地址与请求不符，按失败返回，并附上实际创建的链接以便处理
+              if (unapplied.includes('custom_code')) {
+                failed.push({
+                  index: link.index,
+                  url: link.original_url,
+                  error: `服务端未使用自定义短代码 ${requested.get(link.index).custom_code}，实际创建的链接为 ${created.short_url}`,
+                  created: { id: created.id ?? null, short_url: created.short_url ?? null },
+                });
+              } else if (unapplied.length > 0) {
+                success.push({
+                  ...created,
+                  warnings: unapplied.map((field) => `服务端返回的 ${field} 与请求不一致，可能未生效`),
+                });
+              } else {
+                success.push(created);
+              }
+            });
+            failed.push(...outcome.value.failed);
+            return;
+          }
+
+          lastError = outcome.reason;
+          const handledError = ErrorHandler.handle(outcome.reason);
+          // 熔断器打开时重试只会被立即拒绝，不再等待
+          const retryable = RETRYABLE_BATCH_ERRORS.includes(handledError.code) && !(outcome.reason instanceof CircuitOpenError);
+          if (round < DEFAULT_CONFIG.BATCH_CHUNK_RETRIES && retryable) {
+            chunkErrors.set(pending[i], outcome.reason);
+            retryChunks.push(pending[i]);
+            return;
+          }
+
+          chunkStats.failed += 1;
+          failed.push(...pending[i].map((item) => ({
+            index: item.index,
+            url: item.data.original_url,
+            error: handledError.message,
+            code: handledError.code,
+          })));
+        });
+
+        pending = retryChunks;
+      }
+
+      // 所有块都失败时，与单次请求失败一样抛出错误
+      if (chunks.length > 0 && chunkStats.succeeded === 0 && lastError) {
+        throw lastError;
+      }
+
+      const byIndex = (a, b) => (a.index ?? Infinity) - (b.index ?? Infinity);
+      success.sort(byIndex);
+      failed.sort(byIndex);
+
+      if (createdCount > 0) {
+        this.invalidateCache();
+      }
+      const scope = getCredentialScope();
+      success.forEach((link) => this.linkIndex.upsert(scope, link));
 
       logger.info('批量创建短链接完成:', {
-        success_count: result.success?.length || 0,
-        failed_count: result.failed?.length || 0,
+        success_count: success.length,
+        failed_count: failed.length,
+        chunks: chunkStats,
       });
 
-      return result;
+      return { success, failed, chunks: chunkStats };
 
     } catch (error) {
       logger.error('批量创建短链接失败:', error);
@@ -273,6 +563,146 @@ export class ShortLinkService {
     }
   }
 
+  /**
+   * 发送一个批量块，并为返回的条目标记原始下标
+   * 结果未知的尝试之后（请求超时、5xx 或上一轮整块失败），先找回已创建的条目，剩余条目使用新的幂等键重新发送
+   * @param {string} domain - 域名
+   * @param {Array} chunk - 条目列表 [{ index, data }]
+   * @param {Object} options - 选项
+   * @param {string} options.idempotencyKey - 幂等键（整块重试时传入相同的值）
+   * @param {number} options.since - 批量调用开始的时间，用于找回已创建的条目
+   * @param {Error} options.previousError - 上一轮发送该块的错误（整块重试时传入）
+   * @returns {Promise<Object>} { success, failed }
+   */
+  async sendBatchChunk(domain, chunk, { idempotencyKey = randomUUID(), since = Date.now(), previousError = null } = {}) {
+    const findCreated = async (error) => {
+      const links = await this.findCreatedShortUrls(domain, chunk.map((item) => item.data), since, error);
+      return links?.some(Boolean) ? { recovered: links } : undefined;
+    };
+
+    // urls 保持字符串数组以兼容只支持 URL 列表的服务端，items 携带每个条目的完整信息
+    const response = (previousError && await findCreated(previousError)) || await this.httpClient.post(
+      getApiUrl('/short_links/batch'),
+      {
+        domain,
+        urls: chunk.map((item) => item.data.original_url),
+        items: chunk.map((item) => item.data),
+      },
+      { idempotencyKey, beforeRetry: findCreated }
+    );
+
+    if (response?.recovered) {
+      const success = [];
+      const remaining = [];
+      chunk.forEach((item, i) => {
+        const link = response.recovered[i];
+        if (link) {
+          success.push({ index: item.index, ...link, recovered: true });
+        } else {
+          remaining.push(item);
+        }
+      });
+
+      logger.warn(`批量块的请求结果未知，已找回 ${success.length} 个已创建的链接，重新发送其余 ${remaining.length} 个`);
+      if (remaining.length === 0) {
+        return { success, failed: [] };
+      }
+
+      const rest = await this.sendBatchChunk(domain, remaining, { idempotencyKey: `${idempotencyKey}-r`, since });
+      return { success: [...success, ...rest.success], failed: rest.failed };
+    }
+
+    const result = this.handleApiResponse(response, '批量创建短链接');
+
+    // 服务端返回的条目不带下标，按原始 URL 匹配，匹配不到时按顺序对应
+    const unassigned = [...chunk];
+    const takeIndex = (url) => {
+      const position = unassigned.findIndex((item) => item.data.original_url === url);
+      const [item] = unassigned.splice(position === -1 ? 0 : position, 1);
+      return item ? item.index : null;
+    };
+
+    return {
+      success: (result?.success || []).map((link) => ({ index: takeIndex(link.original_url), ...link })),
+      failed: (result?.failed || []).map((entry) => ({ index: takeIndex(entry.url), ...entry })),
+    };
+  }
+
+  /**
+   * 找出服务端返回的链接中未应用的条目字段
+   * 只读取 urls 列表的服务端会忽略 items 中的 custom_code、title、description、expire_at，但仍然返回成功
+   * @param {Object} requested - 请求的条目
+   * @param {Object} link - 服务端返回的链接
+   * @returns {Array<string>} 未应用的字段名
+   */
+  findUnappliedFields(requested, link) {
+    return ['custom_code', 'title', 'description', 'expire_at'].filter((field) => {
+      const value = requested[field];
+      if (value === undefined || value === null || value === '') {
+        return false;
+      }
+
+      if (field === 'custom_code') {
+        return link.short_code !== value;
+      }
+      if (field === 'expire_at') {
+        // 服务端可能以不同的时区或精度返回时间，按秒比较
+        const actual = link.expire_at ? new Date(link.expire_at).getTime() : NaN;
+        return !(Math.abs(actual - new Date(value).getTime()) < 1000);
+      }
+      return link[field] !== value;
+    });
+  }
+
+  /**
+   * 标准化并校验批量创建的条目，不符合目标地址策略的条目以 URL_POLICY_VIOLATION 放入 failed
+   * @param {Array} entries - 条目列表（URL 字符串或对象）
+   * @param {Object} defaults - 批量默认值 { title, description, expire_at }
+   * @param {Object} queryOptions - 批量级别的 { utm, query_params, overwrite_utm }
+   * @returns {Object} { items: 校验通过的条目 [{ index, data }], failed: [{ index, url, error }] }
+   */
+  prepareBatchItems(entries, defaults, queryOptions = {}) {
+    const items = [];
+    const failed = [];
+
+    entries.forEach((entry, index) => {
+      const item = typeof entry === 'string' ? { original_url: entry } : entry;
+      const result = validate('batchItem', { ...defaults, ...item });
+      if (!result.isValid) {
+        failed.push({
+          index,
+          url: item.original_url ?? null,
+          error: result.errors.map((error) => `${error.field}: ${error.message}`).join('; '),
+        });
+        return;
+      }
+
+      // 条目中的 UTM 和查询参数按键覆盖批量级别的设置
+      const { utm, query_params: queryParams, overwrite_utm: overwriteUtm, ...data } = result.data;
+      data.original_url = normalizeUrl(data.original_url, {
+        utm: { ...queryOptions.utm, ...utm },
+        query_params: { ...queryOptions.query_params, ...queryParams },
+        overwrite_utm: overwriteUtm ?? queryOptions.overwrite_utm,
+      });
+
+      const violation = checkUrlPolicy(data.original_url);
+      if (violation) {
+        failed.push({
+          index,
+          url: data.original_url,
+          error: `目标地址不符合安全策略: ${violation.message}`,
+          code: ErrorCodes.URL_POLICY_VIOLATION,
+          rule: violation.rule,
+        });
+        return;
+      }
+
+      items.push({ index, data });
+    });
+
+    return { items, failed };
+  }
+
   /**
    * 获取短链接统计信息
    * @param {Object} params - 查询参数
@@ -317,7 +747,7 @@ export class ShortLinkService {
 
   /**
    * 列出短链接
-   * @param {Object} params - 查询参数
+   * @param {Object} params - 查询参数 { page, page_size, domain, keyword, fresh }，fresh 为 true 时跳过响应缓存
    * @returns {Promise<Object>} 短链接列表
    */
   async listShortUrls(params = {}) {
@@ -344,14 +774,16 @@ export class ShortLinkService {
         queryParams.keyword = validatedParams.keyword;
       }
 
-      // 发送请求
-      const response = await this.httpClient.get(
-        getApiUrl('/short_links'),
-        queryParams
-      );
+      const result = await this.cachedGet(`list:${JSON.stringify(queryParams)}`, validatedParams.fresh, async () => {
+        // 发送请求
+        const response = await this.httpClient.get(
+          getApiUrl('/short_links'),
+          queryParams
+        );
 
-      // 处理响应
-      const result = this.handleApiResponse(response, '列出短链接');
+        // 处理响应
+        return this.handleApiResponse(response, '列出短链接');
+      });
 
       logger.info('获取短链接列表成功:', {
         total: result.total,
@@ -369,6 +801,349 @@ export class ShortLinkService {
     }
   }
 
+  /**
+   * 发送请求前校验域名：未知或已停用的域名直接拒绝，并给出最接近的可用域名
+   * 域名列表获取失败或为空时不做拦截，交由服务端判断
+   * @param {string} domain - 域名
+   * @returns {Promise<Object|null>} 域名信息，无法校验时返回 null
+   */
+  async resolveDomain(domain) {
+    let lookup;
+    try {
+      lookup = await this.domainRegistry.lookup(getCredentialScope(), domain);
+    } catch (error) {
+      logger.warn('获取域名列表失败，跳过域名预校验:', { domain, error: error.error?.message || error.message });
+      return null;
+    }
+
+    if (lookup.domain?.is_active !== false && (lookup.domain || lookup.available.length === 0)) {
+      return lookup.domain;
+    }
+
+    const reason = lookup.domain ? 'inactive' : 'unknown';
+    const hint = lookup.suggestion
+      ? `，您是否想使用 ${lookup.suggestion}？`
+      : `，可用域名: ${lookup.available.join('、')}`;
+
+    throw new ValidationError(`${reason === 'inactive' ? '域名已停用' : '域名不存在'}: ${domain}${hint}`, {
+      domain,
+      reason,
+      suggestion: lookup.suggestion,
+      available_domains: lookup.available,
+    });
+  }
+
+  /**
+   * 按域名配置的协议生成短网址，保证同一域名下短网址格式一致
+   * @param {Object} link - 短链接
+   * @param {Object|null} domainInfo - 域名信息
+   * @returns {Object} 短链接
+   */
+  buildShortUrl(link, domainInfo) {
+    if (!domainInfo || !link?.short_code) {
+      return link;
+    }
+
+    return {
+      ...link,
+      short_url: `${domainInfo.protocol || 'https'}://${domainInfo.domain}/${link.short_code}`,
+    };
+  }
+
+  /**
+   * 逐页遍历符合条件的全部短链接
+   * @param {Object} params - 过滤条件 { domain, keyword, page_size, fresh }
+   * @yields {Object} 短链接
+   */
+  async *iterateShortUrls({ domain, keyword, page_size: pageSize = 100, fresh = false } = {}) {
+    for (let page = 1; ; page++) {
+      const result = await this.listShortUrls({ page, page_size: pageSize, domain, keyword, fresh });
+      const list = result?.list || [];
+
+      yield* list;
+
+      if (list.length < pageSize || page * pageSize >= (result?.total ?? Infinity)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * 导出短链接：遍历全部匹配的短链接，按所选列写入 CSV / JSON / JSONL 文件，未指定文件时直接返回内容
+   * 输出文件必须位于 MCP_FILE_ROOT 目录内
+   * @param {Object} params - { domain, keyword, format, columns, output_path, overwrite, max_rows }
+   * @returns {Promise<Object>} 导出结果
+   */
+  async exportShortUrls(params = {}) {
+    try {
+      const options = validateOrThrow('exportShortUrls', params);
+      const outputPath = options.output_path ? resolveFilePath(options.output_path, 'output_path') : null;
+      const rowLimit = options.max_rows ?? (outputPath ? Infinity : INLINE_EXPORT_MAX_ROWS);
+
+      if (outputPath && !options.overwrite && fs.existsSync(outputPath)) {
+        throw new ConflictError(`输出文件已存在: ${outputPath}，如需覆盖请设置 overwrite: true`, {
+          output_path: outputPath,
+        });
+      }
+
+      logger.info('开始导出短链接:', {
+        domain: options.domain,
+        keyword: options.keyword,
+        format: options.format,
+        output_path: outputPath,
+      });
+
+      const rows = [];
+      let truncated = false;
+      const filters = { domain: options.domain, keyword: options.keyword, fresh: options.fresh };
+      for await (const link of this.iterateShortUrls(filters)) {
+        if (rows.length >= rowLimit) {
+          truncated = true;
+          break;
+        }
+        rows.push(Object.fromEntries(options.columns.map((column) => [column, link[column] ?? null])));
+      }
+
+      const content = serializeRows(rows, options.columns, options.format);
+      const result = {
+        format: options.format,
+        columns: options.columns,
+        row_count: rows.length,
+        truncated,
+        output_path: outputPath,
+        bytes: Buffer.byteLength(content),
+        filters: { domain: options.domain || null, keyword: options.keyword || null },
+      };
+
+      if (outputPath) {
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.promises.writeFile(outputPath, content, 'utf8');
+      } else {
+        result.content = content;
+      }
+
+      logger.info('导出短链接完成:', { row_count: rows.length, truncated, output_path: outputPath });
+
+      return result;
+
+    } catch (error) {
+      logger.error('导出短链接失败:', error);
+      const handledError = ErrorHandler.handle(error);
+      throw ErrorHandler.createMcpErrorResponse(handledError, error);
+    }
+  }
+
+  /**
+   * 从本地 CSV / JSON / JSONL 文件导入短链接
+   * 每行按列映射转换后用 createShortUrl 的规则校验，校验通过的行按域名分组走批量接口创建，
+   * 每行的结果（短网址或错误）写入结果文件。输入文件和结果文件都必须位于 MCP_FILE_ROOT 目录内
+   * @param {Object} params - { input_path, format, mapping, domain, defaults, result_path, overwrite, dry_run }
+   * @returns {Promise<Object>} 导入结果
+   */
+  async importShortUrls(params = {}) {
+    try {
+      const options = validateOrThrow('importShortUrls', params);
+      const inputPath = resolveFilePath(options.input_path, 'input_path');
+      const format = options.format || detectFileFormat(inputPath);
+
+      if (!format) {
+        throw new ValidationError(`无法根据扩展名识别输入文件格式，请通过 format 指定（${FILE_FORMATS.join('、')}）`);
+      }
+      if (!fs.existsSync(inputPath)) {
+        throw new NotFoundError('输入文件', inputPath);
+      }
+
+      const resultPath = options.result_path
+        ? resolveFilePath(options.result_path, 'result_path')
+        : path.join(path.dirname(inputPath), `${path.basename(inputPath, path.extname(inputPath))}.result.${format}`);
+
+      if (!options.overwrite && fs.existsSync(resultPath)) {
+        throw new ConflictError(`结果文件已存在: ${resultPath}，如需覆盖请设置 overwrite: true`, {
+          result_path: resultPath,
+        });
+      }
+
+      let records;
+      try {
+        records = parseRows(await fs.promises.readFile(inputPath, 'utf8'), format);
+      } catch (error) {
+        // 解析器的原始错误信息可能包含文件内容，只记录到日志
+        logger.warn('解析输入文件失败:', { input_path: inputPath, error: error.message });
+        throw new ValidationError(`无法解析输入文件，请确认文件为有效的 ${format.toUpperCase()} 格式`, { input_path: inputPath });
+      }
+
+      if (records.length === 0) {
+        throw new ValidationError('输入文件中没有数据行', { input_path: inputPath });
+      }
+
+      const mapping = { ...Object.fromEntries(IMPORT_FIELDS.map((field) => [field, field])), ...options.mapping };
+
+      logger.info('开始导入短链接:', {
+        input_path: inputPath,
+        format,
+        row_count: records.length,
+        dry_run: options.dry_run,
+      });
+
+      // 逐行映射并校验，校验通过的行按域名分组
+      const results = [];
+      const groups = new Map();
+      const domainChecks = new Map();
+      for (const [i, record] of records.entries()) {
+        const row = this.mapImportRecord(record, mapping, options);
+        const validation = validate('createShortUrl', row);
+        const result = {
+          row: i + 1,
+          status: 'invalid',
+          original_url: row.original_url ?? null,
+          domain: row.domain ?? null,
+          short_url: null,
+          id: null,
+          error: null,
+        };
+        results.push(result);
+
+        if (!validation.isValid) {
+          result.error = validation.errors.map((error) => `${error.field}: ${error.message}`).join('; ');
+          continue;
+        }
+
+        // 试运行时也能发现不符合目标地址策略的行
+        const violation = checkUrlPolicy(normalizeUrl(row.original_url));
+        if (violation) {
+          result.error = `original_url: 目标地址不符合安全策略: ${violation.message}`;
+          continue;
+        }
+
+        // 每个域名只校验一次
+        if (!domainChecks.has(row.domain)) {
+          domainChecks.set(row.domain, await this.resolveDomain(row.domain).then(
+            (domainInfo) => ({ domain: domainInfo?.domain || row.domain }),
+            (error) => ({ error: error.message })
+          ));
+        }
+        const domainCheck = domainChecks.get(row.domain);
+        if (domainCheck.error) {
+          result.error = `domain: ${domainCheck.error}`;
+          continue;
+        }
+
+        result.status = options.dry_run ? 'valid' : 'failed';
+        result.domain = domainCheck.domain;
+        const item = { ...row };
+        delete item.domain;
+        if (!groups.has(domainCheck.domain)) {
+          groups.set(domainCheck.domain, []);
+        }
+        groups.get(domainCheck.domain).push({ result, item });
+      }
+
+      if (!options.dry_run) {
+        for (const [domain, entries] of groups) {
+          await this.importBatch(domain, entries);
+        }
+      }
+
+      await fs.promises.mkdir(path.dirname(resultPath), { recursive: true });
+      await fs.promises.writeFile(resultPath, serializeRows(results, IMPORT_RESULT_COLUMNS, format), 'utf8');
+
+      const countStatus = (status) => results.filter((result) => result.status === status).length;
+      const summary = {
+        total: results.length,
+        created: countStatus('created'),
+        failed: countStatus('failed'),
+        invalid: countStatus('invalid'),
+      };
+      if (options.dry_run) {
+        summary.valid = countStatus('valid');
+      }
+
+      logger.info('导入短链接完成:', { ...summary, result_path: resultPath });
+
+      return {
+        dry_run: options.dry_run,
+        input_path: inputPath,
+        result_path: resultPath,
+        format,
+        summary,
+        results,
+      };
+
+    } catch (error) {
+      logger.error('导入短链接失败:', error);
+      const handledError = ErrorHandler.handle(error);
+      throw ErrorHandler.createMcpErrorResponse(handledError, error);
+    }
+  }
+
+  /**
+   * 按列映射把文件中的一行转换为创建参数，空单元格视为未提供
+   * @param {Object} record - 文件中的一行
+   * @param {Object} mapping - 字段 -> 列名
+   * @param {Object} options - 导入选项（提供默认域名和默认值）
+   * @returns {Object} 创建参数
+   */
+  mapImportRecord(record, mapping, options) {
+    const row = {};
+    for (const field of IMPORT_FIELDS) {
+      let value = record?.[mapping[field]];
+      if (typeof value === 'string') {
+        value = value.trim();
+      }
+      if (value !== undefined && value !== '') {
+        row[field] = value;
+      }
+    }
+
+    row.domain = row.domain ?? options.domain;
+    for (const [field, value] of Object.entries(options.defaults)) {
+      if (row[field] === undefined && value !== undefined) {
+        row[field] = value;
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * 通过批量接口创建同一域名下的导入行，并把结果写回每行
+   * @param {string} domain - 域名
+   * @param {Array} entries - [{ result, item }]
+   */
+  async importBatch(domain, entries) {
+    try {
+      const batch = await this.batchCreateShortUrls({ domain, urls: entries.map((entry) => entry.item) });
+
+      for (const link of batch.success) {
+        const entry = entries[link.index];
+        if (!entry) continue;
+        Object.assign(entry.result, { status: 'created', short_url: link.short_url, id: link.id ?? null });
+        if (link.warnings) {
+          entry.result.error = link.warnings.join('; ');
+        }
+      }
+      for (const failure of batch.failed) {
+        const entry = entries[failure.index];
+        if (!entry) continue;
+        entry.result.error = failure.error;
+        if (failure.created) {
+          Object.assign(entry.result, { short_url: failure.created.short_url, id: failure.created.id });
+        }
+      }
+    } catch (error) {
+      const message = error.error?.message || error.message;
+      entries.forEach((entry) => {
+        entry.result.error = message;
+      });
+    }
+
+    entries
+      .filter((entry) => entry.result.status === 'failed' && !entry.result.error)
+      .forEach((entry) => {
+        entry.result.error = '服务端未返回该条结果';
+      });
+  }
+
   /**
    * 预览短链接
    * @param {string} code - 短链接代码
@@ -404,6 +1179,369 @@ export class ShortLinkService {
     }
   }
 
+  /**
+   * 解析短链接（支持短代码或完整短网址）
+   * @param {string} input - 短代码或完整短网址
+   * @returns {Promise<Object>} 解析结果，包含原始链接、状态以及（如果能查到）短链接 ID
+   */
+  async resolveShortUrl(input) {
+    const parsed = parseShortUrl(input);
+    if (!parsed) {
+      const handledError = ErrorHandler.handle(
+        new ValidationError('无法解析短网址，请提供短代码或完整的短网址', { input })
+      );
+      throw ErrorHandler.createMcpErrorResponse(handledError);
+    }
+
+    let preview = await this.previewShortUrl(parsed.code);
+    let id = preview?.id ?? null;
+
+    // 预览接口只按短代码查找，不同域名下可能有相同短代码；域名不一致时改为在指定域名下查找
+    if (parsed.domain && preview?.domain && preview.domain !== parsed.domain) {
+      id = await this.findShortUrlId(parsed.code, parsed.domain);
+      if (!id) {
+        const handledError = ErrorHandler.handle(new NotFoundError('短链接', input));
+        throw ErrorHandler.createMcpErrorResponse(handledError);
+      }
+      preview = await this.getUrlInfo(id);
+    }
+
+    const domain = parsed.domain || preview?.domain || null;
+
+    // 预览接口不返回 ID 时，尝试通过列表接口查找
+    if (!id) {
+      id = await this.findShortUrlId(parsed.code, domain);
+    }
+
+    const expireAt = preview?.expire_at || null;
+    const isExpired = expireAt ? new Date(expireAt).getTime() < Date.now() : false;
+
+    return {
+      id,
+      domain,
+      short_code: preview?.short_code || parsed.code,
+      short_url: preview?.short_url || null,
+      original_url: preview?.original_url || null,
+      title: preview?.title || null,
+      description: preview?.description || null,
+      is_active: preview?.is_active ?? null,
+      expire_at: expireAt,
+      is_expired: isExpired,
+    };
+  }
+
+  /**
+   * 查找同一域名下指向相同原始 URL 的可用短链接
+   * 首次查找某个域名（或索引过期）时全量同步该域名的链接到本地索引，之后只查索引；
+   * 命中后再确认链接仍然存在，已停用、已过期的链接不会被复用
+   * @param {Object} params - 创建参数 { original_url, domain, custom_code }
+   * @returns {Promise<Object|null>} 已有的短链接，没有时返回 null
+   */
+  async findExistingShortUrl({ original_url: originalUrl, domain, custom_code: customCode }) {
+    const scope = getCredentialScope();
+
+    if (!this.linkIndex.isFresh(scope, domain)) {
+      await this.syncLinkIndex(scope, domain);
+    }
+
+    const now = Date.now();
+    const candidates = this.linkIndex.find(scope, domain, originalUrl, (link) => link.is_active !== false
+      && !(link.expire_at && new Date(link.expire_at).getTime() < now)
+      && (!customCode || link.short_code === customCode));
+
+    for (const candidate of candidates) {
+      try {
+        const current = await this.getUrlInfo(candidate.id, { fresh: true });
+        if (canonicalizeUrl(current.original_url) === canonicalizeUrl(originalUrl) && current.is_active !== false) {
+          this.linkIndex.upsert(scope, current);
+          return current;
+        }
+        this.linkIndex.upsert(scope, current);
+      } catch (error) {
+        if (error.error?.code !== ErrorCodes.RESOURCE_NOT_FOUND) {
+          throw error;
+        }
+        // 已被其他客户端删除
+        this.linkIndex.remove(scope, candidate.id);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 查找结果未知的创建请求是否已经在服务端创建了链接
+   * 服务端支持幂等键时由服务端去重，请求确定没有到达服务端时不可能已创建，这两种情况不查找
+   * @param {string} domain - 域名
+   * @param {Array} items - 创建参数 [{ original_url, custom_code }]
+   * @param {number} since - 调用开始的时间，只有此后创建的链接才视为本次调用创建
+   * @param {Error} error - 上一次尝试的错误
+   * @returns {Promise<Array|null>} 与 items 一一对应的已创建链接（未找到为 null），不需要查找或查找失败时返回 null
+   */
+  async findCreatedShortUrls(domain, items, since, error) {
+    if (this.httpClient.supportsIdempotencyKeys() || !mayHaveReachedServer(error)) {
+      return null;
+    }
+
+    const scope = getCredentialScope();
+    try {
+      await this.syncLinkIndex(scope, domain);
+    } catch (syncError) {
+      logger.warn('查找已创建的链接失败，按原计划重试:', { domain, error: syncError.error?.message || syncError.message });
+      return null;
+    }
+
+    const claimed = new Set();
+    const threshold = since - RECOVERY_CLOCK_SKEW_MS;
+
+    // 同一批次中相同的 URL 按创建顺序对应，取最早创建的候选链接
+    return items.map((item) => {
+      const link = this.linkIndex.find(scope, domain, item.original_url, (candidate) => !claimed.has(candidate.id)
+        && Boolean(candidate.created_at) && new Date(candidate.created_at).getTime() >= threshold
+        && (!item.custom_code || candidate.short_code === item.custom_code)).at(-1);
+      if (link) {
+        claimed.add(link.id);
+      }
+      return link || null;
+    });
+  }
+
+  /**
+   * 全量同步某个域名的短链接到本地索引
+   * @param {string} scope - 凭据作用域
+   * @param {string} domain - 域名
+   */
+  async syncLinkIndex(scope, domain) {
+    const links = [];
+
+    for await (const link of this.iterateShortUrls({ domain, fresh: true })) {
+      if (!link.domain || link.domain === domain) {
+        links.push(link);
+      }
+    }
+
+    this.linkIndex.replace(scope, domain, links);
+    logger.info('本地短链接索引已同步:', { domain, count: links.length });
+  }
+
+  /**
+   * 根据短代码查找短链接 ID
+   * @param {string} code - 短链接代码
+   * @param {string|null} domain - 域名（可选）
+   * @returns {Promise<number|null>} 短链接 ID，未找到时返回 null
+   */
+  async findShortUrlId(code, domain = null) {
+    try {
+      const params = { page: 1, page_size: 100, keyword: code };
+      if (domain) {
+        params.domain = domain;
+      }
+
+      const result = await this.listShortUrls(params);
+      const match = (result?.list || []).find(
+        (item) => item.short_code === code && (!domain || !item.domain || item.domain === domain)
+      );
+
+      return match ? match.id : null;
+    } catch (error) {
+      logger.warn('通过列表查找短链接 ID 失败:', { code, domain, error: error.error?.message || error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 按 ID 列表或过滤条件选择短链接
+   * 过滤条件中的 domain、keyword 交给列表接口处理，创建时间、停用、过期条件在本地筛选
+   * @param {Object} params - 选择条件 { ids, filter, max_items }
+   * @returns {Promise<Object>} { items, missing, total_matched, truncated, max_items }
+   */
+  async selectShortUrls(params) {
+    const selection = validateOrThrow('bulkSelection', params);
+
+    if (selection.ids) {
+      const outcomes = await mapWithConcurrency(
+        selection.ids,
+        DEFAULT_CONFIG.BATCH_CONCURRENCY,
+        (id) => this.getUrlInfo(id, { fresh: true })
+      );
+
+      const items = [];
+      const missing = [];
+      outcomes.forEach((outcome, i) => {
+        if (outcome.status === 'fulfilled') {
+          items.push(outcome.value);
+        } else if (outcome.reason?.error?.code === ErrorCodes.RESOURCE_NOT_FOUND) {
+          missing.push(selection.ids[i]);
+        } else {
+          throw outcome.reason;
+        }
+      });
+
+      return { items, missing, total_matched: items.length, truncated: false };
+    }
+
+    const { filter, max_items: maxItems } = selection;
+    const now = Date.now();
+    const items = [];
+    let truncated = false;
+
+    const filters = { domain: filter.domain, keyword: filter.keyword, fresh: true };
+    for await (const item of this.iterateShortUrls(filters)) {
+      if (!this.matchesBulkFilter(item, filter, now)) continue;
+      if (items.length >= maxItems) {
+        truncated = true;
+        break;
+      }
+      items.push(item);
+    }
+
+    return { items, missing: [], total_matched: items.length, truncated, max_items: maxItems };
+  }
+
+  /**
+   * 检查短链接是否符合本地过滤条件
+   * @param {Object} item - 短链接
+   * @param {Object} filter - 过滤条件
+   * @param {number} now - 当前时间戳
+   * @returns {boolean} 是否符合
+   */
+  matchesBulkFilter(item, filter, now) {
+    const createdAt = item.created_at ? new Date(item.created_at).getTime() : null;
+    if (filter.created_from && (createdAt === null || createdAt < filter.created_from.getTime())) {
+      return false;
+    }
+    if (filter.created_to && (createdAt === null || createdAt > filter.created_to.getTime())) {
+      return false;
+    }
+    if (filter.inactive !== undefined && (item.is_active === false) !== filter.inactive) {
+      return false;
+    }
+    if (filter.expired !== undefined) {
+      const isExpired = Boolean(item.expire_at) && new Date(item.expire_at).getTime() < now;
+      if (isExpired !== filter.expired) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 执行批量操作：选择目标短链接，试运行时只返回匹配结果，否则逐个执行并返回每个 ID 的结果
+   * @param {Object} selectionParams - 选择条件 { ids, filter, max_items }
+   * @param {boolean} dryRun - 是否试运行
+   * @param {Function} operation - 对单个 ID 执行的操作 (id) => Promise
+   * @returns {Promise<Object>} 批量操作结果
+   */
+  async runBulkOperation(selectionParams, dryRun, operation) {
+    // 指定 ID 的正式执行无需预先查询，不存在的 ID 会在结果中体现
+    const selection = selectionParams.ids && !dryRun
+      ? { ...validateOrThrow('bulkSelection', selectionParams), items: null, missing: [], truncated: false }
+      : await this.selectShortUrls(selectionParams);
+
+    const targetIds = selection.items ? selection.items.map((item) => item.id) : selection.ids;
+
+    if (dryRun) {
+      return {
+        dry_run: true,
+        matched: selection.items,
+        missing: selection.missing,
+        total_matched: targetIds.length,
+        truncated: selection.truncated,
+      };
+    }
+
+    if (selection.truncated) {
+      throw new ValidationError(
+        `匹配的短链接超过 max_items（${selection.max_items}），请缩小过滤范围或调大 max_items 后重试`,
+        { max_items: selection.max_items }
+      );
+    }
+
+    const outcomes = await mapWithConcurrency(targetIds, DEFAULT_CONFIG.BATCH_CONCURRENCY, operation);
+    const results = outcomes.map((outcome, i) => (outcome.status === 'fulfilled'
+      ? { id: targetIds[i], success: true, data: outcome.value ?? null }
+      : {
+        id: targetIds[i],
+        success: false,
+        error: {
+          code: outcome.reason?.error?.code || outcome.reason?.code || ErrorCodes.UNKNOWN_ERROR,
+          message: outcome.reason?.error?.message || outcome.reason?.message || '操作失败',
+        },
+      }));
+
+    const succeeded = results.filter((result) => result.success).length;
+    return {
+      dry_run: false,
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+    };
+  }
+
+  /**
+   * 批量删除短链接
+   * 按 filter 选择时默认只试运行，需要显式传入 dry_run: false 才会删除
+   * @param {Object} params - { ids, filter, max_items, dry_run }
+   * @returns {Promise<Object>} 批量删除结果
+   */
+  async bulkDeleteShortUrls(params = {}) {
+    try {
+      const { dry_run: dryRunParam, ...selectionParams } = params;
+      const dryRun = dryRunParam ?? !selectionParams.ids;
+
+      logger.info('开始批量删除短链接:', { ...selectionParams, dry_run: dryRun });
+
+      const result = await this.runBulkOperation(selectionParams, dryRun, (id) => this.deleteShortUrl(id));
+
+      logger.info('批量删除短链接完成:', result.summary || { matched: result.total_matched, dry_run: true });
+
+      return result;
+
+    } catch (error) {
+      logger.error('批量删除短链接失败:', error);
+      const handledError = ErrorHandler.handle(error);
+      throw ErrorHandler.createMcpErrorResponse(handledError, error);
+    }
+  }
+
+  /**
+   * 批量更新短链接
+   * 按 filter 选择时默认只试运行，需要显式传入 dry_run: false 才会更新
+   * @param {Object} params - { ids, filter, max_items, changes, dry_run }
+   * @returns {Promise<Object>} 批量更新结果
+   */
+  async bulkUpdateShortUrls(params = {}) {
+    try {
+      const { dry_run: dryRunParam, changes, ...selectionParams } = params;
+      const dryRun = dryRunParam ?? !selectionParams.ids;
+      const validatedChanges = validateOrThrow('bulkUpdateChanges', changes);
+
+      logger.info('开始批量更新短链接:', {
+        ...selectionParams,
+        fields: Object.keys(validatedChanges),
+        dry_run: dryRun,
+      });
+
+      const result = await this.runBulkOperation(
+        selectionParams,
+        dryRun,
+        (id) => this.updateShortUrl({ id, ...validatedChanges })
+      );
+
+      logger.info('批量更新短链接完成:', result.summary || { matched: result.total_matched, dry_run: true });
+
+      return result;
+
+    } catch (error) {
+      logger.error('批量更新短链接失败:', error);
+      const handledError = ErrorHandler.handle(error);
+      throw ErrorHandler.createMcpErrorResponse(handledError, error);
+    }
+  }
+
   /**
    * 检查短链接是否存在
    * @param {number} id - 短链接 ID
@@ -423,19 +1561,22 @@ export class ShortLinkService {
 
   /**
    * 获取域名列表
+   * @param {Object} options - 选项 { fresh: 跳过响应缓存 }
    * @returns {Promise<Object>} 域名列表
    */
-  async listDomains() {
+  async listDomains({ fresh = false } = {}) {
     try {
       logger.info('获取域名列表');
 
-      // 发送请求
-      const response = await this.httpClient.get(
-        getApiUrl('/domains')
-      );
+      const result = await this.cachedGet('domains', fresh, async () => {
+        // 发送请求
+        const response = await this.httpClient.get(
+          getApiUrl('/domains')
+        );
 
-      // 处理响应
-      const result = this.handleApiResponse(response, '获取域名列表');
+        // 处理响应
+        return this.handleApiResponse(response, '获取域名列表');
+      });
 
       logger.info('获取域名列表成功:', {
         count: result.list?.length || 0,
@@ -459,7 +1600,7 @@ export class ShortLinkService {
       logger.info('检查服务状态');
 
       // 尝试获取第一页的数据来检查服务是否可用
-      await this.listShortUrls({ page: 1, page_size: 1 });
+      await this.listShortUrls({ page: 1, page_size: 1, fresh: true });
 
       return {
         status: 'healthy',
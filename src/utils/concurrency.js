@@ -0,0 +1,49 @@
+/**
+ * 并发控制工具模块
+ * 以有限的并发数执行一组异步任务
+ */
+
+/**
+ * 以有限并发数对列表中的每一项执行异步函数
+ * 与 Promise.allSettled 一样不会因为单个任务失败而中断，结果顺序与输入顺序一致
+ * @param {Array} items - 输入列表
+ * @param {number} limit - 最大并发数
+ * @param {Function} fn - 异步函数 (item, index) => Promise
+ * @returns {Promise<Array>} 结果列表 [{ status: 'fulfilled', value } | { status: 'rejected', reason }]
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+  return results;
+}
+
+/**
+ * 将列表按固定大小拆分
+ * @param {Array} items - 输入列表
+ * @param {number} size - 每块大小
+ * @returns {Array<Array>} 拆分后的列表
+ */
+function chunkArray(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+export { mapWithConcurrency, chunkArray };
@@ -15,11 +15,13 @@ export const ErrorCodes = {
   NETWORK_ERROR: 'NETWORK_ERROR',
   TIMEOUT_ERROR: 'TIMEOUT_ERROR',
   CONNECTION_ERROR: 'CONNECTION_ERROR',
+  REQUEST_CANCELLED: 'REQUEST_CANCELLED',
 
   // 认证相关错误
   AUTHENTICATION_ERROR: 'AUTHENTICATION_ERROR',
   AUTHORIZATION_ERROR: 'AUTHORIZATION_ERROR',
   INVALID_API_KEY: 'INVALID_API_KEY',
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
 
   // 参数相关错误
   VALIDATION_ERROR: 'VALIDATION_ERROR',
@@ -31,6 +33,7 @@ export const ErrorCodes = {
   RESOURCE_ALREADY_EXISTS: 'RESOURCE_ALREADY_EXISTS',
   OPERATION_NOT_ALLOWED: 'OPERATION_NOT_ALLOWED',
   QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  URL_POLICY_VIOLATION: 'URL_POLICY_VIOLATION',
 
   // 服务器错误
   INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
@@ -52,9 +55,11 @@ const ERROR_STATUS_MAP = {
   [ErrorCodes.NETWORK_ERROR]: 503,
   [ErrorCodes.TIMEOUT_ERROR]: 408,
   [ErrorCodes.CONNECTION_ERROR]: 503,
+  [ErrorCodes.REQUEST_CANCELLED]: 499,
   [ErrorCodes.AUTHENTICATION_ERROR]: 401,
   [ErrorCodes.AUTHORIZATION_ERROR]: 403,
   [ErrorCodes.INVALID_API_KEY]: 401,
+  [ErrorCodes.PERMISSION_DENIED]: 403,
   [ErrorCodes.VALIDATION_ERROR]: 400,
   [ErrorCodes.MISSING_PARAMETER]: 400,
   [ErrorCodes.INVALID_PARAMETER]: 400,
@@ -62,6 +67,7 @@ const ERROR_STATUS_MAP = {
   [ErrorCodes.RESOURCE_ALREADY_EXISTS]: 409,
   [ErrorCodes.OPERATION_NOT_ALLOWED]: 403,
   [ErrorCodes.QUOTA_EXCEEDED]: 429,
+  [ErrorCodes.URL_POLICY_VIOLATION]: 403,
   [ErrorCodes.INTERNAL_SERVER_ERROR]: 500,
   [ErrorCodes.SERVICE_UNAVAILABLE]: 503,
   [ErrorCodes.RATE_LIMIT_EXCEEDED]: 429,
@@ -122,6 +128,26 @@ export class NetworkError extends CustomError {
   }
 }
 
+/**
+ * 熔断错误类（远程服务连续失败，熔断器打开期间请求直接失败）
+ */
+export class CircuitOpenError extends CustomError {
+  constructor(message = '远程服务暂时不可用，请稍后重试', details = null) {
+    super(message, ErrorCodes.SERVICE_UNAVAILABLE, 503, details);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * 请求取消错误类（调用方取消了工具调用，或请求被主动取消）
+ */
+export class CancelledError extends CustomError {
+  constructor(message = '请求已取消', details = null) {
+    super(message, ErrorCodes.REQUEST_CANCELLED, 499, details);
+    this.name = 'CancelledError';
+  }
+}
+
 /**
  * 认证错误类
  */
@@ -132,6 +158,36 @@ export class AuthenticationError extends CustomError {
   }
 }
 
+/**
+ * 权限错误类（操作被本实例的权限配置禁止）
+ */
+export class PermissionError extends CustomError {
+  constructor(message = '没有执行该操作的权限', details = null) {
+    super(message, ErrorCodes.PERMISSION_DENIED, 403, details);
+    this.name = 'PermissionError';
+  }
+}
+
+/**
+ * 限流错误类（请求被客户端限流器拒绝）
+ */
+export class RateLimitError extends CustomError {
+  constructor(message = '请求过于频繁，请稍后重试', details = null) {
+    super(message, ErrorCodes.RATE_LIMIT_EXCEEDED, 429, details);
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * 目标地址策略错误类（原始 URL 被本实例的目标地址策略拒绝）
+ */
+export class UrlPolicyError extends CustomError {
+  constructor(message = '目标地址不符合安全策略', details = null) {
+    super(message, ErrorCodes.URL_POLICY_VIOLATION, 403, details);
+    this.name = 'UrlPolicyError';
+  }
+}
+
 /**
  * 资源未找到错误类
  */
@@ -143,6 +199,16 @@ export class NotFoundError extends CustomError {
   }
 }
 
+/**
+ * 资源已存在错误类
+ */
+export class ConflictError extends CustomError {
+  constructor(message = '资源已存在', details = null) {
+    super(message, ErrorCodes.RESOURCE_ALREADY_EXISTS, 409, details);
+    this.name = 'ConflictError';
+  }
+}
+
 /**
  * 业务逻辑错误类
  */
@@ -253,6 +319,27 @@ export class ErrorAnalyzer {
     );
   }
 
+  /**
+   * 分析服务层已格式化的 MCP 错误响应
+   * @param {Object} errorResponse - MCP 错误响应对象
+   * @returns {CustomError} 还原后的错误对象
+   */
+  static analyzeMcpErrorResponse(errorResponse) {
+    const { code, message, details } = errorResponse.error;
+    const error = new CustomError(
+      message,
+      code,
+      ERROR_STATUS_MAP[code] || 500,
+      details ?? null
+    );
+
+    if (errorResponse.error.timestamp) {
+      error.timestamp = errorResponse.error.timestamp;
+    }
+
+    return error;
+  }
+
   /**
    * 分析未知错误
    * @param {Error} error - 未知错误对象
@@ -283,9 +370,10 @@ export class ErrorHandler {
   static handle(error) {
     // 记录错误日志
     logger.error('处理错误:', {
-      message: error.message,
+      message: error.message || error.error?.message,
       stack: error.stack,
       name: error.name,
+      code: error.code || error.error?.code,
     });
 
     // 根据错误类型进行不同的处理
@@ -309,6 +397,11 @@ export class ErrorHandler {
       return error;
     }
 
+    if (error?.success === false && error.error?.code) {
+      // 服务层已格式化的 MCP 错误响应
+      return ErrorAnalyzer.analyzeMcpErrorResponse(error);
+    }
+
     // 未知错误
     return ErrorAnalyzer.analyzeUnknownError(error);
   }
@@ -483,6 +576,11 @@ export const createNetworkError = (message, originalError) => new NetworkError(m
  */
 export const createAuthenticationError = (message) => new AuthenticationError(message);
 
+/**
+ * 快捷方法：创建权限错误
+ */
+export const createPermissionError = (message, details) => new PermissionError(message, details);
+
 /**
  * 快捷方法：创建未找到错误
  */
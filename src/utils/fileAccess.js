@@ -0,0 +1,77 @@
+/**
+ * 本地文件访问模块
+ * 导出、导入工具读写的文件必须位于 MCP_FILE_ROOT 目录内：只接受相对路径，
+ * 拒绝通过 .. 或符号链接离开该目录的路径。HTTP 模式下调用方可能是远程主体，未配置 MCP_FILE_ROOT 时不允许读写文件
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { DEFAULT_CONFIG } from '../config/remoteConfig.js';
+import { PermissionError } from './errorHandler.js';
+
+/**
+ * 获取允许读写的根目录
+ * @returns {string|null} 根目录的绝对路径，HTTP 模式下未配置时返回 null
+ */
+function getFileRoot() {
+  if (DEFAULT_CONFIG.MCP_FILE_ROOT) {
+    return path.resolve(DEFAULT_CONFIG.MCP_FILE_ROOT);
+  }
+  return DEFAULT_CONFIG.MCP_TRANSPORT === 'http' ? null : process.cwd();
+}
+
+/**
+ * 判断路径是否位于根目录内（不包括根目录本身）
+ * @param {string} root - 根目录
+ * @param {string} target - 目标路径
+ * @returns {boolean} 是否位于根目录内
+ */
+function isInsideRoot(root, target) {
+  const relative = path.relative(root, target);
+  return relative !== ''
+    && relative !== '..'
+    && !relative.startsWith(`..${path.sep}`)
+    && !path.isAbsolute(relative);
+}
+
+/**
+ * 获取路径中已存在部分的真实路径（解析符号链接）
+ * @param {string} target - 目标路径
+ * @returns {string} 真实路径，不存在的部分原样拼接
+ */
+function realpathExisting(target) {
+  let existing = target;
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) return target;
+    existing = parent;
+  }
+  return path.join(fs.realpathSync(existing), path.relative(existing, target));
+}
+
+/**
+ * 把工具参数中的文件路径解析为根目录内的绝对路径
+ * @param {string} filePath - 相对于根目录的路径
+ * @param {string} field - 参数名（用于错误信息）
+ * @returns {string} 绝对路径
+ * @throws {PermissionError} 未配置根目录、路径为绝对路径或离开了根目录
+ */
+function resolveFilePath(filePath, field) {
+  const root = getFileRoot();
+  if (!root) {
+    throw new PermissionError('HTTP 模式下未配置 MCP_FILE_ROOT，不允许读写本地文件', { field });
+  }
+
+  if (path.isAbsolute(filePath)) {
+    throw new PermissionError(`${field} 必须是相对于文件根目录的路径，不能使用绝对路径`, { field });
+  }
+
+  const resolved = path.resolve(root, filePath);
+  if (!isInsideRoot(root, resolved) || !isInsideRoot(realpathExisting(root), realpathExisting(resolved))) {
+    throw new PermissionError(`${field} 不能指向文件根目录之外的位置`, { field, path: filePath });
+  }
+
+  return resolved;
+}
+
+export { getFileRoot, resolveFilePath };
@@ -0,0 +1,168 @@
+/**
+ * 文件格式工具模块
+ * 在记录列表与 CSV、JSON、JSONL 文本之间相互转换
+ */
+
+/**
+ * 支持的文件格式
+ */
+const FILE_FORMATS = ['csv', 'json', 'jsonl'];
+
+/**
+ * 电子表格会当作公式执行的单元格开头（可带已有的单引号前缀）
+ */
+const FORMULA_PATTERN = /^'*[=+\-@]/;
+
+/**
+ * 转义 CSV 单元格：以 =、+、-、@ 开头时加单引号前缀，避免在电子表格中被当作公式执行；
+ * 包含逗号、引号或换行时用双引号包裹，内部引号加倍
+ * @param {any} value - 单元格值
+ * @returns {string} 转义后的文本
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const raw = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const text = FORMULA_PATTERN.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 将记录列表转换为 CSV 文本（首行为表头）
+ * @param {Array<Object>} rows - 记录列表
+ * @param {Array<string>} columns - 列名
+ * @returns {string} CSV 文本
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * 按格式序列化记录列表
+ * @param {Array<Object>} rows - 记录列表
+ * @param {Array<string>} columns - 列名
+ * @param {string} format - 文件格式 csv | json | jsonl
+ * @returns {string} 序列化后的文本
+ */
+function serializeRows(rows, columns, format) {
+  switch (format) {
+    case 'csv':
+      return toCsv(rows, columns);
+    case 'json':
+      return `${JSON.stringify(rows, null, 2)}\n`;
+    case 'jsonl':
+      return rows.map((row) => `${JSON.stringify(row)}\n`).join('');
+    default:
+      throw new Error(`不支持的文件格式: ${format}`);
+  }
+}
+
+/**
+ * 去掉导出时为防止公式执行而加的单引号前缀（见 escapeCsvValue）
+ * @param {string} value - 单元格文本
+ * @returns {string} 原始文本
+ */
+function unescapeCsvFormula(value) {
+  return FORMULA_PATTERN.test(value) && value.startsWith("'") ? value.slice(1) : value;
+}
+
+/**
+ * 解析 CSV 文本（首行为表头），支持双引号包裹的单元格、转义引号和单元格内换行
+ * @param {string} text - CSV 文本
+ * @returns {Array<Object>} 记录列表，键为表头中的列名，跳过空行
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  const [header = [], ...rows] = records;
+  const columns = header.map((column) => column.trim());
+  return rows.map((row) => Object.fromEntries(columns.map((column, i) => [column, unescapeCsvFormula(row[i] ?? '')])));
+}
+
+/**
+ * 按格式解析文本为记录列表
+ * @param {string} text - 文件内容
+ * @param {string} format - 文件格式 csv | json | jsonl
+ * @returns {Array<Object>} 记录列表
+ */
+function parseRows(text, format) {
+  switch (format) {
+    case 'csv':
+      return parseCsv(text);
+    case 'json': {
+      const data = JSON.parse(text);
+      if (!Array.isArray(data)) {
+        throw new Error('JSON 文件内容必须是对象数组');
+      }
+      return data;
+    }
+    case 'jsonl':
+      return text
+        .split(/\r?\n/)
+        .filter((line) => line.trim() !== '')
+        .map((line) => JSON.parse(line));
+    default:
+      throw new Error(`不支持的文件格式: ${format}`);
+  }
+}
+
+/**
+ * 根据文件扩展名推断格式
+ * @param {string} filePath - 文件路径
+ * @returns {string|null} 文件格式，无法识别时返回 null
+ */
+function detectFileFormat(filePath) {
+  const match = /\.([a-z]+)$/i.exec(filePath);
+  const extension = match ? match[1].toLowerCase() : null;
+  return FILE_FORMATS.includes(extension) ? extension : null;
+}
+
+export { FILE_FORMATS, escapeCsvValue, toCsv, serializeRows, parseCsv, parseRows, detectFileFormat };
@@ -0,0 +1,43 @@
+/**
+ * 请求上下文模块
+ * 基于 AsyncLocalStorage 在一次工具调用的整个异步链路中传递会话信息（如调用方身份、上游 API 密钥、取消信号）
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHash } from 'node:crypto';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * 在指定上下文中执行函数
+ * @param {Object} context - 上下文对象
+ * @param {Function} fn - 要执行的函数
+ * @returns {any} 函数返回值
+ */
+function runWithRequestContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/**
+ * 获取当前上下文
+ * @returns {Object|undefined} 当前上下文，不在任何上下文中时返回 undefined
+ */
+function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * 获取当前调用方的凭据作用域
+ * 使用独立上游 API 密钥的会话能看到的数据不同，本地缓存和索引需要按作用域隔离；
+ * 作用域是 API 密钥的摘要，未绑定独立密钥时为 default
+ * @returns {string} 作用域标识
+ */
+function getCredentialScope() {
+  const apiKey = storage.getStore()?.apiKey;
+  if (!apiKey) {
+    return 'default';
+  }
+  return createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+}
+
+export { runWithRequestContext, getRequestContext, getCredentialScope };
@@ -0,0 +1,223 @@
+/**
+ * 目标地址策略模块
+ * 在创建或更新短链接前校验原始 URL：协议白名单、主机名允许/禁止列表（支持通配）、
+ * IP 地址主机名、内网及回环地址和 URL 最大长度。只检查 URL 本身，不做 DNS 解析
+ */
+
+import { domainToASCII } from 'node:url';
+import net from 'node:net';
+import { DEFAULT_CONFIG } from '../config/remoteConfig.js';
+import { UrlPolicyError } from './errorHandler.js';
+
+/**
+ * 视为内网的 IPv4 地址段 [起始地址, 前缀长度]
+ */
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], // 本网络
+  ['10.0.0.0', 8], // 私有网络
+  ['100.64.0.0', 10], // 运营商级 NAT
+  ['127.0.0.0', 8], // 回环
+  ['169.254.0.0', 16], // 链路本地（含云厂商元数据地址）
+  ['172.16.0.0', 12], // 私有网络
+  ['192.168.0.0', 16], // 私有网络
+];
+
+/**
+ * 视为内网的主机名后缀
+ */
+const PRIVATE_HOST_SUFFIXES = ['.localhost', '.local', '.internal'];
+
+/**
+ * 解析逗号分隔的配置列表
+ * @param {string} value - 配置值
+ * @returns {Array<string>} 去掉空白并转为小写的条目
+ */
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * 根据当前配置生成目标地址策略
+ * @returns {Object} { allowedSchemes, allowedHosts, blockedHosts, blockIpHosts, blockPrivateHosts, maxLength }
+ */
+function getUrlPolicy() {
+  return {
+    allowedSchemes: parseList(DEFAULT_CONFIG.URL_ALLOWED_SCHEMES).map((scheme) => scheme.replace(/:$/, '')),
+    allowedHosts: parseList(DEFAULT_CONFIG.URL_ALLOWED_HOSTS),
+    blockedHosts: parseList(DEFAULT_CONFIG.URL_BLOCKED_HOSTS),
+    blockIpHosts: DEFAULT_CONFIG.URL_BLOCK_IP_HOSTS,
+    blockPrivateHosts: DEFAULT_CONFIG.URL_BLOCK_PRIVATE_HOSTS,
+    maxLength: DEFAULT_CONFIG.URL_MAX_LENGTH,
+  };
+}
+
+/**
+ * 判断主机名是否匹配规则
+ * example.com 只匹配该主机名本身，*.example.com 匹配它的所有子域名（不含 example.com）
+ * @param {string} host - 主机名（小写，国际化域名为 punycode 形式）
+ * @param {string} pattern - 规则
+ * @returns {boolean} 是否匹配
+ */
+function matchesHostPattern(host, pattern) {
+  if (pattern.startsWith('*.')) {
+    const suffix = domainToASCII(pattern.slice(2)) || pattern.slice(2);
+    return host.endsWith(`.${suffix}`);
+  }
+  return host === (domainToASCII(pattern) || pattern);
+}
+
+/**
+ * 把 IPv4 地址转换为 32 位整数
+ * @param {string} address - IPv4 地址
+ * @returns {number} 整数形式
+ */
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((result, part) => result * 256 + Number(part), 0);
+}
+
+/**
+ * 判断 IPv4 地址是否属于内网或回环地址段
+ * @param {string} address - IPv4 地址
+ * @returns {boolean} 是否为内网地址
+ */
+function isPrivateIpv4(address) {
+  const value = ipv4ToNumber(address);
+  return PRIVATE_IPV4_RANGES.some(([base, prefix]) => {
+    const size = 2 ** (32 - prefix);
+    return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+  });
+}
+
+/**
+ * 把 IPv6 地址展开为 8 个 16 位分组
+ * @param {string} address - IPv6 地址（不带方括号）
+ * @returns {Array<number>} 分组
+ */
+function expandIpv6(address) {
+  let text = address;
+
+  // 末尾为点分形式的 IPv4 时先转换成两个分组
+  const embedded = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    const value = ipv4ToNumber(embedded[1]);
+    text = `${text.slice(0, -embedded[1].length)}${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const parse = (part) => (part ? part.split(':').map((group) => parseInt(group, 16)) : []);
+  const headGroups = parse(head);
+  const tailGroups = parse(tail);
+
+  return tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+}
+
+/**
+ * 判断 IPv6 地址是否属于内网、回环或链路本地地址
+ * @param {string} address - IPv6 地址（不带方括号）
+ * @returns {boolean} 是否为内网地址
+ */
+function isPrivateIpv6(address) {
+  const groups = expandIpv6(address);
+  const first = groups[0];
+
+  // 未指定地址 :: 和回环地址 ::1
+  if (groups.slice(0, 7).every((group) => group === 0) && groups[7] <= 1) {
+    return true;
+  }
+
+  // IPv4 映射地址 ::ffff:a.b.c.d 按其中的 IPv4 地址判断
+  if (groups.slice(0, 5).every((group) => group === 0) && groups[5] === 0xffff) {
+    return isPrivateIpv4([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.'));
+  }
+
+  // 唯一本地地址 fc00::/7 和链路本地地址 fe80::/10
+  return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80;
+}
+
+/**
+ * 判断主机名是否指向内网或本机
+ * @param {string} host - 主机名（IPv6 不带方括号）
+ * @param {number} ipVersion - net.isIP 的结果
+ * @returns {boolean} 是否为内网主机
+ */
+function isPrivateHost(host, ipVersion) {
+  if (ipVersion === 4) return isPrivateIpv4(host);
+  if (ipVersion === 6) return isPrivateIpv6(host);
+
+  // localhost、*.localhost 等保留名称，以及不带点的单标签主机名（通常只能在内网解析）
+  return host === 'localhost'
+    || PRIVATE_HOST_SUFFIXES.some((suffix) => host.endsWith(suffix))
+    || !host.includes('.');
+}
+
+/**
+ * 按目标地址策略检查 URL
+ * @param {string} url - 已标准化的原始 URL
+ * @param {Object} policy - 策略（默认使用当前配置）
+ * @returns {Object|null} 违反的规则 { rule, message }，符合策略时返回 null
+ */
+function checkUrlPolicy(url, policy = getUrlPolicy()) {
+  if (policy.maxLength > 0 && url.length > policy.maxLength) {
+    return { rule: 'max_length', message: `URL 长度 ${url.length} 超过上限 ${policy.maxLength}` };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { rule: 'invalid_url', message: 'URL 无法解析' };
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, '');
+  if (!policy.allowedSchemes.includes(scheme)) {
+    return {
+      rule: 'scheme',
+      message: `不允许的协议: ${scheme}，只允许 ${policy.allowedSchemes.join('、')}`,
+    };
+  }
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+  if (!host) {
+    return { rule: 'invalid_url', message: 'URL 缺少主机名' };
+  }
+
+  if (policy.blockedHosts.some((pattern) => matchesHostPattern(host, pattern))) {
+    return { rule: 'blocked_host', message: `目标主机 ${host} 在禁止列表中` };
+  }
+
+  if (policy.allowedHosts.length > 0 && !policy.allowedHosts.some((pattern) => matchesHostPattern(host, pattern))) {
+    return { rule: 'host_not_allowed', message: `目标主机 ${host} 不在允许列表中` };
+  }
+
+  const ipVersion = net.isIP(host);
+  if (policy.blockIpHosts && ipVersion) {
+    return { rule: 'ip_host', message: `不允许使用 IP 地址作为目标主机: ${host}` };
+  }
+
+  if (policy.blockPrivateHosts && isPrivateHost(host, ipVersion)) {
+    return { rule: 'private_host', message: `不允许指向内网或本机地址: ${host}` };
+  }
+
+  return null;
+}
+
+/**
+ * 按目标地址策略检查 URL，不符合时抛出 UrlPolicyError
+ * @param {string} url - 已标准化的原始 URL
+ * @param {Object} policy - 策略（默认使用当前配置）
+ * @returns {string} 原 URL
+ */
+function assertUrlAllowed(url, policy = getUrlPolicy()) {
+  const violation = checkUrlPolicy(url, policy);
+  if (violation) {
+    throw new UrlPolicyError(`目标地址不符合安全策略: ${violation.message}`, { rule: violation.rule, url });
+  }
+  return url;
+}
+
+export { getUrlPolicy, matchesHostPattern, checkUrlPolicy, assertUrlAllowed };
@@ -4,6 +4,7 @@
  */
 
 import Joi from 'joi';
+import { FILE_FORMATS } from './fileFormats.js';
 
 /**
  * 通用验证规则
@@ -79,6 +80,29 @@ const commonRules = {
     'string.max': '关键词不能超过 100 个字符',
   }),
 
+  fresh: Joi.boolean().default(false),
+
+  utm: Joi.object({
+    source: Joi.string().max(200),
+    medium: Joi.string().max(200),
+    campaign: Joi.string().max(200),
+    term: Joi.string().max(200),
+    content: Joi.string().max(200),
+    id: Joi.string().max(200),
+  }).optional().options({ stripUnknown: false }).messages({
+    'object.unknown': 'utm 只支持 source、medium、campaign、term、content、id',
+  }),
+
+  queryParams: Joi.object().pattern(
+    Joi.string().min(1).max(100),
+    Joi.alternatives().try(Joi.string().allow('').max(500), Joi.number(), Joi.boolean())
+  ).optional().messages({
+    'object.base': 'query_params 必须是对象',
+    'alternatives.types': 'query_params 的值必须是字符串、数字或布尔值',
+  }),
+
+  overwriteUtm: Joi.boolean().optional(),
+
   days: Joi.number().integer().min(1).max(365).default(7).messages({
     'number.base': '天数必须是数字',
     'number.integer': '天数必须是整数',
@@ -86,16 +110,39 @@ const commonRules = {
     'number.max': '天数不能超过 365',
   }),
 
-  urls: Joi.array().items(Joi.string().uri().required()).min(1).max(50).required().messages({
+  // 批量条目只校验类型，每个条目的内容单独校验（见 batchItem），失败的条目不影响其他条目；
+  // 数量不限，超出服务端单次上限时由服务层分块发送
+  urls: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.object())).min(1).required().messages({
     'array.base': 'URLs 必须是数组',
     'array.min': '至少需要提供一个 URL',
-    'array.max': '最多只能提供 50 个 URL',
-    'string.base': 'URL 必须是字符串',
-    'string.uri': 'URL 格式不正确',
+    'alternatives.types': '每个条目必须是 URL 字符串或对象',
     'any.required': 'URLs 是必填参数',
   }),
 };
 
+/**
+ * 导出短网址时可选的列（同时也是默认列的顺序）
+ */
+const EXPORT_COLUMNS = [
+  'id',
+  'short_code',
+  'short_url',
+  'original_url',
+  'domain',
+  'title',
+  'description',
+  'is_active',
+  'expire_at',
+  'click_count',
+  'created_at',
+  'updated_at',
+];
+
+/**
+ * 导入短网址时可以从文件列映射的字段
+ */
+const IMPORT_FIELDS = ['original_url', 'title', 'description', 'custom_code', 'expire_at', 'domain'];
+
 /**
  * 各 MCP 工具的验证模式
  */
@@ -110,6 +157,12 @@ const schemas = {
     title: commonRules.title,
     description: commonRules.description,
     expire_at: commonRules.expireAt,
+    if_exists: Joi.string().valid('create', 'reuse', 'error').default('create').messages({
+      'any.only': 'if_exists 只能是 create、reuse 或 error',
+    }),
+    utm: commonRules.utm,
+    query_params: commonRules.queryParams,
+    overwrite_utm: commonRules.overwriteUtm,
   }),
 
   // 获取短网址信息
@@ -145,6 +198,31 @@ const schemas = {
     domain: commonRules.domain.required().messages({
       'any.required': '域名是必填参数',
     }),
+    defaults: Joi.object({
+      title: Joi.any(),
+      description: Joi.any(),
+      expire_at: Joi.any(),
+    }).optional(),
+    utm: commonRules.utm,
+    query_params: commonRules.queryParams,
+    overwrite_utm: commonRules.overwriteUtm,
+  }),
+
+  // 批量创建中的单个条目（已合并批量默认值）
+  batchItem: Joi.object({
+    original_url: commonRules.url,
+    title: Joi.string().min(1).max(200).optional().messages({
+      'string.base': '标题必须是字符串',
+      'string.empty': '标题不能为空',
+      'string.min': '标题至少需要 1 个字符',
+      'string.max': '标题不能超过 200 个字符',
+    }),
+    description: commonRules.description,
+    custom_code: commonRules.customCode,
+    expire_at: commonRules.expireAt,
+    utm: commonRules.utm,
+    query_params: commonRules.queryParams,
+    overwrite_utm: commonRules.overwriteUtm,
   }),
 
   // 获取短网址统计
@@ -153,12 +231,111 @@ const schemas = {
     days: commonRules.days,
   }),
 
+  // 批量操作的选择条件：ids 与 filter 二选一
+  bulkSelection: Joi.object({
+    ids: Joi.array().items(commonRules.id).min(1).unique().messages({
+      'array.base': 'ids 必须是数组',
+      'array.min': 'ids 至少需要一个 ID',
+      'array.unique': 'ids 不能包含重复的 ID',
+    }),
+    filter: Joi.object({
+      domain: commonRules.domain,
+      keyword: commonRules.keyword,
+      created_from: Joi.date().iso().optional().messages({
+        'date.base': 'created_from 必须是有效的日期',
+        'date.format': 'created_from 格式不正确，请使用 ISO 8601 格式',
+      }),
+      created_to: Joi.date().iso().optional().messages({
+        'date.base': 'created_to 必须是有效的日期',
+        'date.format': 'created_to 格式不正确，请使用 ISO 8601 格式',
+      }),
+      inactive: Joi.boolean().optional(),
+      expired: Joi.boolean().optional(),
+    }).min(1).messages({
+      'object.min': 'filter 至少需要一个过滤条件',
+    }),
+    max_items: Joi.number().integer().min(1).max(10000).default(1000).messages({
+      'number.base': 'max_items 必须是数字',
+      'number.min': 'max_items 必须大于 0',
+      'number.max': 'max_items 不能超过 10000',
+    }),
+  }).xor('ids', 'filter').messages({
+    'object.missing': '必须提供 ids 或 filter 其中之一',
+    'object.xor': 'ids 和 filter 不能同时提供',
+  }),
+
+  // 批量更新的字段
+  bulkUpdateChanges: Joi.object({
+    title: Joi.string().min(1).max(200).optional().messages({
+      'string.base': '标题必须是字符串',
+      'string.empty': '标题不能为空',
+      'string.min': '标题至少需要 1 个字符',
+      'string.max': '标题不能超过 200 个字符',
+    }),
+    description: commonRules.description,
+    expire_at: commonRules.expireAt,
+    is_active: commonRules.isActive,
+  }).min(1).required().messages({
+    'object.min': 'changes 至少需要一个要更新的字段',
+    'any.required': 'changes 是必填参数',
+  }),
+
   // 列出短网址
   listShortUrls: Joi.object({
     page: commonRules.page,
     page_size: commonRules.pageSize,
     domain: commonRules.domain,
     keyword: commonRules.keyword,
+    fresh: commonRules.fresh,
+  }),
+
+  // 导出短网址
+  exportShortUrls: Joi.object({
+    domain: commonRules.domain,
+    keyword: commonRules.keyword,
+    format: Joi.string().valid(...FILE_FORMATS).default('csv').messages({
+      'any.only': `format 只能是 ${FILE_FORMATS.join('、')} 之一`,
+    }),
+    columns: Joi.array().items(Joi.string().valid(...EXPORT_COLUMNS)).min(1).unique().default(EXPORT_COLUMNS).messages({
+      'array.min': 'columns 至少需要一列',
+      'array.unique': 'columns 不能包含重复的列',
+      'any.only': `columns 只能包含 ${EXPORT_COLUMNS.join('、')}`,
+    }),
+    output_path: Joi.string().min(1).optional().messages({
+      'string.empty': 'output_path 不能为空',
+    }),
+    overwrite: Joi.boolean().default(false),
+    fresh: commonRules.fresh,
+    max_rows: Joi.number().integer().min(1).max(100000).optional().messages({
+      'number.base': 'max_rows 必须是数字',
+      'number.min': 'max_rows 必须大于 0',
+      'number.max': 'max_rows 不能超过 100000',
+    }),
+  }),
+
+  // 从文件导入短网址
+  importShortUrls: Joi.object({
+    input_path: Joi.string().min(1).required().messages({
+      'string.empty': 'input_path 不能为空',
+      'any.required': 'input_path 是必填参数',
+    }),
+    format: Joi.string().valid(...FILE_FORMATS).optional().messages({
+      'any.only': `format 只能是 ${FILE_FORMATS.join('、')} 之一`,
+    }),
+    mapping: Joi.object(
+      Object.fromEntries(IMPORT_FIELDS.map((field) => [field, Joi.string().min(1)]))
+    ).default({}),
+    domain: commonRules.domain,
+    defaults: Joi.object({
+      title: Joi.any(),
+      description: Joi.any(),
+      expire_at: Joi.any(),
+    }).default({}),
+    result_path: Joi.string().min(1).optional().messages({
+      'string.empty': 'result_path 不能为空',
+    }),
+    overwrite: Joi.boolean().default(false),
+    dry_run: Joi.boolean().default(false),
   }),
 };
 
@@ -261,11 +438,15 @@ function isValidDomain(domain) {
 }
 
 /**
- * 清理和标准化 URL
+ * 清理和标准化 URL，并按需合并 UTM 和其他查询参数
  * @param {string} url - 要清理的 URL
+ * @param {Object} options - 选项
+ * @param {Object} options.utm - UTM 参数，键为 source、medium、campaign、term、content、id，合并为 utm_* 查询参数
+ * @param {Object} options.query_params - 其他查询参数，同名参数会被替换
+ * @param {boolean} options.overwrite_utm - 原 URL 已有同名 UTM 参数时是否覆盖（默认保留原值）
  * @returns {string} 清理后的 URL
  */
-function normalizeUrl(url) {
+function normalizeUrl(url, { utm, query_params: queryParams, overwrite_utm: overwriteUtm = false } = {}) {
   if (!url || typeof url !== 'string') {
     return url;
   }
@@ -273,12 +454,108 @@ function normalizeUrl(url) {
   // 移除首尾的空白字符
   url = url.trim();
 
-  // 如果没有协议，默认添加 https://
-  if (!/^https?:\/\//i.test(url)) {
+  // 如果没有协议，默认添加 https://（example.com:8080 这类带端口的主机名不视为协议）
+  if (!/^[a-z][a-z0-9+.-]*:(?!\d)/i.test(url)) {
     url = `https://${url}`;
   }
 
-  return url;
+  const additions = [
+    ...Object.entries(utm || {}).map(([key, value]) => [`utm_${key}`, value, overwriteUtm]),
+    ...Object.entries(queryParams || {}).map(([key, value]) => [key, value, true]),
+  ].filter(([, value]) => value !== undefined && value !== null);
+
+  return additions.length > 0 ? mergeQueryParams(url, additions) : url;
+}
+
+/**
+ * 把参数合并到 URL 的查询字符串中
+ * 只改动需要添加或替换的参数，原有参数的顺序和编码保持不变，锚点保留在末尾
+ * @param {string} url - URL
+ * @param {Array} additions - [[参数名, 值, 是否覆盖已有值]]
+ * @returns {string} 合并后的 URL
+ */
+function mergeQueryParams(url, additions) {
+  const hashIndex = url.indexOf('#');
+  const fragment = hashIndex === -1 ? '' : url.slice(hashIndex);
+  const withoutFragment = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const queryIndex = withoutFragment.indexOf('?');
+  const base = queryIndex === -1 ? withoutFragment : withoutFragment.slice(0, queryIndex);
+  const segments = queryIndex === -1
+    ? []
+    : withoutFragment.slice(queryIndex + 1).split('&').filter((segment) => segment !== '');
+
+  const decodeKey = (segment) => {
+    const key = segment.split('=')[0].replace(/\+/g, ' ');
+    try {
+      return decodeURIComponent(key);
+    } catch {
+      return key;
+    }
+  };
+
+  for (const [key, value, overwrite] of additions) {
+    const encoded = `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`;
+    const position = segments.findIndex((segment) => decodeKey(segment) === key);
+
+    if (position === -1) {
+      segments.push(encoded);
+    } else if (overwrite) {
+      segments[position] = encoded;
+      for (let i = segments.length - 1; i > position; i--) {
+        if (decodeKey(segments[i]) === key) {
+          segments.splice(i, 1);
+        }
+      }
+    }
+  }
+
+  return `${base}${segments.length > 0 ? `?${segments.join('&')}` : ''}${fragment}`;
+}
+
+/**
+ * 生成 URL 的规范形式，用于判断两个链接是否指向同一地址
+ * 在 normalizeUrl 的基础上统一协议和主机名大小写、去掉默认端口、补全根路径，保留查询参数和锚点
+ * @param {string} url - URL
+ * @returns {string} 规范化后的 URL
+ */
+function canonicalizeUrl(url) {
+  const normalized = normalizeUrl(url);
+  try {
+    return new URL(normalized).href;
+  } catch {
+    return normalized;
+  }
+}
+
+/**
+ * 解析短网址，支持纯短代码或完整短网址
+ * @param {string} input - 短代码（如 abc123）或短网址（如 https://dwz.test/abc123）
+ * @returns {Object|null} 解析结果 { domain, code }，无法解析时返回 null
+ */
+function parseShortUrl(input) {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim();
+
+  // 纯短代码
+  if (/^[a-zA-Z0-9_-]+$/.test(value)) {
+    return { domain: null, code: value };
+  }
+
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+    const code = url.pathname.split('/').filter(Boolean)[0];
+
+    if (!code || !/^[a-zA-Z0-9_-]+$/.test(code)) {
+      return null;
+    }
+
+    return { domain: url.host, code };
+  } catch {
+    return null;
+  }
 }
 
 /**
@@ -330,6 +607,8 @@ function buildQueryParams(params, allowedFields = []) {
 }
 
 export {
+  EXPORT_COLUMNS,
+  IMPORT_FIELDS,
   commonRules,
   schemas,
   validate,
@@ -338,6 +617,8 @@ export {
   isValidUrl,
   isValidDomain,
   normalizeUrl,
+  canonicalizeUrl,
+  parseShortUrl,
   generateCustomCode,
   normalizePaginationParams,
   buildQueryParams,